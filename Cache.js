@@ -9,153 +9,712 @@ const {
   QueryCommand,
   UpdateItemCommand,
   BatchGetItemCommand,
+  TransactWriteItemsCommand,
+  TransactGetItemsCommand,
+  CreateTableCommand,
+  DeleteTableCommand,
+  UpdateTimeToLiveCommand,
+  DescribeTimeToLiveCommand,
+  waitUntilTableExists,
+  waitUntilTableNotExists,
 } = require("@aws-sdk/client-dynamodb");
-const { toObject, fromObject } = require("./Item");
+const { REMOVE, toObject, fromObject, checkCodec } = require("./Item");
+const { Expression, escapePath } = require("./Expression");
+const LRU = require("./LRU");
+const TokenBucket = require("./TokenBucket");
+const Entity = require("./Entity");
+const Validator = require("./Validator");
+const { encodeCursor, decodeCursor } = require("./Cursor");
+const {
+  DynamoToolsError,
+  ConditionFailedError,
+  ThrottledError,
+  ItemTooLargeError,
+  TableNotFoundError,
+  ValidationError,
+  UnprocessedItemsError,
+  TransactionCanceledError,
+  VersionConflictError,
+} = require("./Errors");
+
+const TRANSACT_WRITE_TYPES = {
+  put: "Put",
+  update: "Update",
+  delete: "Delete",
+  conditionCheck: "ConditionCheck",
+};
+
+const CAPACITY_OPERATIONS = new Map([
+  [GetItemCommand, "GetItem"],
+  [PutItemCommand, "PutItem"],
+  [DeleteItemCommand, "DeleteItem"],
+  [UpdateItemCommand, "UpdateItem"],
+  [QueryCommand, "Query"],
+  [ScanCommand, "Scan"],
+  [BatchGetItemCommand, "BatchGetItem"],
+  [BatchWriteItemCommand, "BatchWriteItem"],
+  [TransactGetItemsCommand, "TransactGetItems"],
+  [TransactWriteItemsCommand, "TransactWriteItems"],
+]);
+
+const WRITE_OPERATIONS = new Set([
+  "PutItem",
+  "DeleteItem",
+  "UpdateItem",
+  "BatchWriteItem",
+  "TransactWriteItems",
+]);
+
+const SDK_ERRORS = {
+  ConditionalCheckFailedException: ConditionFailedError,
+  ProvisionedThroughputExceededException: ThrottledError,
+  RequestLimitExceeded: ThrottledError,
+  ThrottlingException: ThrottledError,
+  ResourceNotFoundException: TableNotFoundError,
+  ValidationException: ValidationError,
+};
 
 class Cache {
-  constructor(clientConfig) {
-    this.client = new DynamoDBClient(clientConfig);
+  constructor(
+    clientConfig,
+    {
+      typeMode = "strict",
+      numberMode = "number",
+      codecs = [],
+      removeUndefined = false,
+      schemas = {},
+      versions = {},
+      validation = {},
+      memory = {},
+      keyValue,
+      maxRetries = 8,
+      retryDelay = 50,
+      maxRetryDelay = 5000,
+      concurrency = 10,
+      returnConsumedCapacity,
+      onConsumedCapacity,
+      cursorSecret,
+      readCapacity,
+      writeCapacity,
+    } = {}
+  ) {
+    this.client =
+      clientConfig && typeof clientConfig.send === "function"
+        ? clientConfig
+        : new DynamoDBClient(clientConfig);
+    this.typeMode = typeMode;
+    this.numberMode = numberMode;
+    this.codecs = [...codecs];
+    this.removeUndefined = removeUndefined;
+    this.schemas = schemas;
+    this.versions = versions;
+    this.validation = validation;
+    this._validators = {};
+    this.memory = memory;
+    this._lrus = {};
+    this._memoryKeyNames = {};
+    this._reads = {};
+    this.keyValue = keyValue;
+    this._loaders = new Map();
+    this._descriptions = {};
+    this.concurrency = this._checkConcurrency(concurrency);
+    if (returnConsumedCapacity && typeof onConsumedCapacity !== "function") {
+      throw new Error(
+        "returnConsumedCapacity requires an onConsumedCapacity callback"
+      );
+    }
+    this.returnConsumedCapacity =
+      returnConsumedCapacity === true ? "TOTAL" : returnConsumedCapacity;
+    this.onConsumedCapacity = onConsumedCapacity;
+    this.cursorSecret = cursorSecret;
+    this._readLimiter = readCapacity && new TokenBucket({ rate: readCapacity });
+    this._writeLimiter =
+      writeCapacity && new TokenBucket({ rate: writeCapacity });
+    this.maxRetries = maxRetries;
+    this.retryDelay = retryDelay;
+    this.maxRetryDelay = maxRetryDelay;
   }
 
-  async getOne({ table, match, consistentRead = false }) {
-    const cmd = new GetItemCommand({
+  async getOne({
+    table,
+    match,
+    consistentRead = false,
+    attributes = [],
+    schema,
+  }) {
+    const lru = attributes.length > 0 ? undefined : this._lru(table);
+    const key = this._fromObject(table, match, schema);
+    let id;
+    if (lru) {
+      const keyNames = Object.keys(key).sort();
+      this._memoryKeyNames[table] = keyNames;
+      id = this._keyId(key, keyNames);
+      const cached = consistentRead ? undefined : lru.get(id);
+      if (cached) {
+        return this._toObject(table, cached, schema);
+      }
+    }
+
+    const params = {
       TableName: table,
-      Key: fromObject(match),
+      Key: key,
       ConsistentRead: consistentRead,
-    });
+    };
+    this._applyProjection(params, table, attributes, schema);
+    const cmd = new GetItemCommand(params);
 
-    const response = await this.client.send(cmd);
+    const reads = lru && this._startReads(table, [id]);
+    let response;
+    try {
+      response = await this._send(cmd, { table, key: match, schema });
+    } finally {
+      if (reads) {
+        this._finishReads(
+          table,
+          reads,
+          response?.Item ? [[id, response.Item]] : []
+        );
+      }
+    }
     if (!response || !response.Item) {
       return;
     }
-
-    return toObject(response.Item);
+    return this._toObject(table, response.Item, schema);
   }
 
-  async putOne({ table, item, returnValues = "NONE" }) {
-    const cmd = new PutItemCommand({
-      TableName: table,
-      Item: fromObject(item),
-      ReturnValues: returnValues,
-    });
-    return this.client.send(cmd);
+  async putOne(options) {
+    const { response } = await this._putItem(options);
+    return response;
   }
 
-  async deleteOne({ table, match, condition }) {
+  async deleteOne({
+    table,
+    match,
+    condition,
+    expectedVersion,
+    returnValuesOnConditionCheckFailure,
+    schema,
+  }) {
+    const versioned = this._versioned(table, "delete", {
+      match,
+      condition,
+      expectedVersion,
+    });
     const params = {
       TableName: table,
-      Key: fromObject(match),
+      Key: this._fromObject(table, match, schema),
     };
-    if (condition) {
-      params.ExpressionAttributeNames = {};
-      params.ExpressionAttributeValues = {};
-      const conditionKey = Object.keys(condition)[0];
-      const comparison = Object.keys(condition[conditionKey])[0];
-      const value = condition[conditionKey][comparison];
-      params.ConditionExpression = `#C ${comparison} :conVal`;
-      params.ExpressionAttributeNames["#C"] = conditionKey;
-      params.ExpressionAttributeValues[":conVal"] = fromObject(value);
+    if (returnValuesOnConditionCheckFailure) {
+      params.ReturnValuesOnConditionCheckFailure =
+        returnValuesOnConditionCheckFailure;
     }
+    this._applyCondition(
+      params,
+      versioned.condition,
+      this._expression(table, schema)
+    );
     const cmd = new DeleteItemCommand(params);
-    return this.client.send(cmd);
-  }
-
-  async getAll({ table, keysToReturn = [] }) {
-    const items = [];
-    let last;
-    do {
-      const { Items, LastEvaluatedKey } = await this._scan({
+    try {
+      return await this._send(cmd, {
         table,
-        keysToReturn,
-        start: last,
+        key: match,
+        conflict: versioned.conflict,
+        schema,
       });
-      items.push(...Items.map(toObject));
-      last = LastEvaluatedKey;
-    } while (last);
+    } finally {
+      this._forget(table, [match]);
+    }
+  }
 
-    return items;
+  async withRetry({ table, match, mutate, maxAttempts = 3 }) {
+    const attribute = this.versions[table];
+    if (!attribute) {
+      throw new Error(
+        `withRetry needs a version attribute on ${table}, set it in the versions option`
+      );
+    }
+    for (let attempt = 1; ; attempt++) {
+      const current = await this.getOne({ table, match, consistentRead: true });
+      const next = await mutate(current);
+      if (typeof next === "undefined") {
+        return current;
+      }
+      const item = { ...next, ...match };
+      item[attribute] = current ? current[attribute] : undefined;
+      try {
+        const { item: written } = await this._putItem({ table, item });
+        return written;
+      } catch (e) {
+        if (!(e instanceof VersionConflictError) || attempt >= maxAttempts) {
+          throw e;
+        }
+        await this._backoff(attempt - 1);
+      }
+    }
   }
 
-  async deleteAll({ table }) {
+  async getAll({ table, keysToReturn = [], segments = 1, signal }) {
+    return this.scan({ table, attributes: keysToReturn, segments, signal });
+  }
+
+  async deleteAll({ table, segments = 1, signal }) {
     const keys = await this.getPrimaryKeys({ table });
+    await this.scan({
+      table,
+      attributes: keys.map(escapePath),
+      segments,
+      signal,
+      onPage: (items) => this.deleteMany({ table, items }),
+    });
+  }
+
+  async scan({
+    table,
+    indexName,
+    filter,
+    attributes,
+    count = false,
+    limit,
+    segments = 1,
+    workers = segments,
+    onPage,
+    signal,
+  }) {
     const items = [];
-    let last;
+    const segmentNumbers = Array.from({ length: segments }, (_, i) => i);
+    if (count) {
+      const counts = await this._mapConcurrent(
+        segmentNumbers,
+        workers,
+        (segment) =>
+          this._countAll(signal, (start) =>
+            this._scan({
+              table,
+              indexName,
+              filter,
+              count,
+              limit,
+              start,
+              segment: segments > 1 ? segment : undefined,
+              totalSegments: segments > 1 ? segments : undefined,
+              signal,
+            })
+          )
+      );
+      return counts.reduce((total, segmentCount) => total + segmentCount, 0);
+    }
+    await this._mapConcurrent(segmentNumbers, workers, async (segment) => {
+      for await (const page of this.scanIterator({
+        table,
+        indexName,
+        filter,
+        attributes,
+        limit,
+        segment: segments > 1 ? segment : undefined,
+        totalSegments: segments > 1 ? segments : undefined,
+        pages: true,
+        signal,
+      })) {
+        if (onPage) {
+          await onPage(page.items, { segment });
+        } else {
+          items.push(...page.items);
+        }
+      }
+    });
+
+    if (!onPage) {
+      return items;
+    }
+  }
+
+  async scanPage({
+    table,
+    indexName,
+    filter,
+    attributes,
+    count = false,
+    lastKey,
+    cursor,
+    limit = 100,
+    segment,
+    totalSegments,
+    signal,
+  }) {
+    const response = await this._scan({
+      table,
+      indexName,
+      filter,
+      attributes,
+      count,
+      limit,
+      start: lastKey,
+      cursor,
+      segment,
+      totalSegments,
+      signal,
+    });
+    return this._page(table, response, count);
+  }
+
+  async *scanIterator({
+    table,
+    indexName,
+    filter,
+    attributes,
+    limit,
+    segment,
+    totalSegments,
+    lastKey,
+    pages = false,
+    signal,
+  }) {
+    let last = lastKey;
     do {
+      this._throwIfAborted(signal);
       const { Items, LastEvaluatedKey } = await this._scan({
         table,
-        keysToReturn: keys,
+        indexName,
+        filter,
+        attributes,
+        limit,
         start: last,
+        segment,
+        totalSegments,
+        signal,
       });
-      items.push(...Items.map(toObject));
       last = LastEvaluatedKey;
+      const items = Items.map((item) => this._toObject(table, item));
+      if (pages) {
+        yield { items, lastKey: last };
+      } else {
+        yield* items;
+      }
     } while (last);
-
-    await this.deleteMany({ table, items });
   }
 
-  async deleteMany({ table, items }) {
-    const batches = this._chunk(items, 25);
-    await Promise.all(
-      batches.map((batch) => {
-        const cmd = new BatchWriteItemCommand({
-          RequestItems: {
-            [table]: batch.map((item) => ({
-              DeleteRequest: {
-                Key: fromObject(item),
-              },
-            })),
+  async deleteMany({
+    table,
+    items,
+    maxRetries = this.maxRetries,
+    concurrency = this.concurrency,
+    onProgress,
+  }) {
+    const attribute = this.versions[table];
+    if (attribute && items.some((item) => attribute in item)) {
+      throw new Error(
+        `deleteMany cannot check versions on ${table}, use deleteOne or transactWrite`
+      );
+    }
+    try {
+      await this._writeMany(
+        table,
+        items.map((item) => ({
+          DeleteRequest: {
+            Key: this._fromObject(table, item),
           },
-        });
-
-        return this.client.send(cmd);
-      })
-    );
+        })),
+        { maxRetries, concurrency, onProgress }
+      );
+    } finally {
+      this._forget(table, items);
+    }
   }
 
   async getPrimaryKeys({ table }) {
-    const desc = new DescribeTableCommand({ TableName: table });
-    const { Table } = await this.client.send(desc);
+    const Table = await this._cachedDescription(table);
     return Table.KeySchema.map(({ AttributeName }) => AttributeName);
   }
 
-  async putMany({ table, items }) {
-    const batches = this._chunk(items, 25);
-    return Promise.all(
-      batches.map((batch) => {
-        const cmd = new BatchWriteItemCommand({
-          RequestItems: {
-            [table]: batch.map((item) => ({
-              PutRequest: {
-                Item: fromObject(item),
-              },
-            })),
-          },
-        });
-        return this.client.send(cmd);
-      })
+  async describeTable({ table }) {
+    const desc = new DescribeTableCommand({ TableName: table });
+    const { Table } = await this._send(desc, { table });
+    return Table;
+  }
+
+  async createTable({
+    table,
+    keys,
+    attributeTypes = {},
+    globalIndexes = [],
+    localIndexes = [],
+    billingMode = "PAY_PER_REQUEST",
+    throughput,
+    wait = true,
+    maxWaitTime,
+  }) {
+    if (billingMode === "PROVISIONED" && !throughput) {
+      throw new Error(
+        "Provisioned tables require a throughput of { read, write }"
+      );
+    }
+    const keyNames = new Set();
+    const keySchema = ({ hash, range }) => {
+      const schema = [{ AttributeName: hash, KeyType: "HASH" }];
+      keyNames.add(hash);
+      if (range) {
+        schema.push({ AttributeName: range, KeyType: "RANGE" });
+        keyNames.add(range);
+      }
+      return schema;
+    };
+    const provisioned = (capacity) =>
+      billingMode === "PROVISIONED"
+        ? {
+            ReadCapacityUnits: capacity.read,
+            WriteCapacityUnits: capacity.write,
+          }
+        : undefined;
+
+    const params = {
+      TableName: table,
+      KeySchema: keySchema(keys),
+      BillingMode: billingMode,
+      ProvisionedThroughput: provisioned(throughput),
+    };
+    if (globalIndexes.length > 0) {
+      params.GlobalSecondaryIndexes = globalIndexes.map((index) => ({
+        IndexName: index.name,
+        KeySchema: keySchema(index),
+        Projection: this._projection(index.projection),
+        ProvisionedThroughput: provisioned(index.throughput || throughput),
+      }));
+    }
+    if (localIndexes.length > 0) {
+      params.LocalSecondaryIndexes = localIndexes.map((index) => ({
+        IndexName: index.name,
+        KeySchema: keySchema({ hash: keys.hash, range: index.range }),
+        Projection: this._projection(index.projection),
+      }));
+    }
+    params.AttributeDefinitions = Array.from(keyNames).map((name) => ({
+      AttributeName: name,
+      AttributeType: attributeTypes[name] || "S",
+    }));
+
+    const cmd = new CreateTableCommand(params);
+    delete this._descriptions[table];
+    const { TableDescription } = await this._send(cmd, { table });
+    if (wait) {
+      return this.waitForTable({ table, maxWaitTime });
+    }
+    return TableDescription;
+  }
+
+  async deleteTable({ table, wait = true, maxWaitTime }) {
+    const cmd = new DeleteTableCommand({ TableName: table });
+    delete this._descriptions[table];
+    const { TableDescription } = await this._send(cmd, { table });
+    if (wait) {
+      await this.waitForTableDeletion({ table, maxWaitTime });
+    }
+    return TableDescription;
+  }
+
+  async waitForTable({ table, maxWaitTime = 300 }) {
+    await waitUntilTableExists(
+      { client: this.client, maxWaitTime, minDelay: 1, maxDelay: 20 },
+      { TableName: table }
     );
+    return this.describeTable({ table });
   }
 
-  async getMany({ table, matches }) {
-    matches = matches.filter((value, index) => {
-      const _value = JSON.stringify(value);
-      return (
-        index ===
-        matches.findIndex((obj) => {
-          return JSON.stringify(obj) === _value;
-        })
+  async waitForTableDeletion({ table, maxWaitTime = 300 }) {
+    await waitUntilTableNotExists(
+      { client: this.client, maxWaitTime, minDelay: 1, maxDelay: 20 },
+      { TableName: table }
+    );
+  }
+
+  async enableTtl({ table, attribute, enabled = true }) {
+    const cmd = new UpdateTimeToLiveCommand({
+      TableName: table,
+      TimeToLiveSpecification: {
+        AttributeName: attribute,
+        Enabled: enabled,
+      },
+    });
+    const { TimeToLiveSpecification } = await this._send(cmd, { table });
+    return TimeToLiveSpecification;
+  }
+
+  async describeTtl({ table }) {
+    const cmd = new DescribeTimeToLiveCommand({ TableName: table });
+    const { TimeToLiveDescription = {} } = await this._send(cmd, { table });
+    return {
+      status: TimeToLiveDescription.TimeToLiveStatus,
+      attribute: TimeToLiveDescription.AttributeName,
+    };
+  }
+
+  async putMany({
+    table,
+    items,
+    maxRetries = this.maxRetries,
+    concurrency = this.concurrency,
+    onProgress,
+  }) {
+    if (this.versions[table]) {
+      throw new Error(
+        `putMany cannot check versions on ${table}, use putOne or transactWrite`
+      );
+    }
+    const validator = this._validator(table);
+    if (validator) {
+      items = validator.items(items);
+    }
+    try {
+      return await this._writeMany(
+        table,
+        items.map((item) => ({
+          PutRequest: {
+            Item: this._fromObject(table, item),
+          },
+        })),
+        { maxRetries, concurrency, onProgress }
+      );
+    } finally {
+      this._forget(table, items);
+    }
+  }
+
+  async getMany({
+    table,
+    matches,
+    ordered = false,
+    consistentRead = false,
+    attributes = [],
+    concurrency = this.concurrency,
+    maxRetries = this.maxRetries,
+  }) {
+    const matchesByTable = table ? { [table]: matches } : matches;
+    const keyNamesByTable = {};
+    const requests = [];
+    const responses = {};
+    Object.keys(matchesByTable).forEach((tableName) => {
+      const keys = matchesByTable[tableName].map((match) =>
+        this._fromObject(tableName, match)
+      );
+      const keyNames = Object.keys(keys[0] || {}).sort();
+      keyNamesByTable[tableName] = keyNames;
+      const seen = new Set();
+      const uniqueKeys = keys.filter((key) => {
+        const id = this._keyId(key, keyNames);
+        if (seen.has(id)) {
+          return false;
+        }
+        seen.add(id);
+        return true;
+      });
+      const lru = attributes.length > 0 ? undefined : this._lru(tableName);
+      const cached = [];
+      const missing = uniqueKeys.filter((key) => {
+        const item =
+          lru && !consistentRead ? lru.get(this._keyId(key, keyNames)) : null;
+        if (item) {
+          cached.push(item);
+        }
+        return !item;
+      });
+      if (lru && keyNames.length > 0) {
+        this._memoryKeyNames[tableName] = keyNames;
+      }
+      responses[tableName] = cached;
+      this._chunk(missing, 100).forEach((chunk) => {
+        const request = { Keys: chunk };
+        if (consistentRead) {
+          request.ConsistentRead = true;
+        }
+        this._applyProjection(request, tableName, [
+          ...attributes,
+          ...this._unprojectedKeys(keyNames, attributes).map(escapePath),
+        ]);
+        requests.push({ [tableName]: request });
+      });
+    });
+
+    const errors = [];
+    await this._mapConcurrent(requests, concurrency, async (requestItems) => {
+      const [tableName] = Object.keys(requestItems);
+      const keyNames = keyNamesByTable[tableName];
+      const reads =
+        attributes.length === 0 &&
+        this._lru(tableName) &&
+        this._startReads(
+          tableName,
+          requestItems[tableName].Keys.map((key) => this._keyId(key, keyNames))
+        );
+      let found = [];
+      try {
+        const Responses = await this._batchGet(requestItems, { maxRetries });
+        found = Responses[tableName] || [];
+      } catch (e) {
+        if (!(e instanceof UnprocessedItemsError)) {
+          throw e;
+        }
+        errors.push(e);
+        return;
+      } finally {
+        if (reads) {
+          this._finishReads(
+            tableName,
+            reads,
+            found.map((item) => [this._keyId(item, keyNames), item])
+          );
+        }
+      }
+      responses[tableName] = (responses[tableName] || []).concat(found);
+    });
+
+    if (errors.length > 0) {
+      throw this._mergeUnprocessed(errors);
+    }
+
+    const results = {};
+    Object.keys(matchesByTable).forEach((tableName) => {
+      const found = responses[tableName] || [];
+      const keyNames = keyNamesByTable[tableName];
+      const hidden = this._unprojectedKeys(keyNames, attributes);
+      const toObject = (item) =>
+        this._toObject(tableName, this._omit(item, hidden));
+      if (!ordered) {
+        results[tableName] = found.map(toObject);
+        return;
+      }
+      const foundById = new Map(
+        found.map((item) => [this._keyId(item, keyNames), item])
+      );
+      results[tableName] = matchesByTable[tableName].map((match) =>
+        toObject(
+          foundById.get(
+            this._keyId(this._fromObject(tableName, match), keyNames)
+          )
+        )
       );
     });
-    const cmd = new BatchGetItemCommand({
-      RequestItems: {
-        [table]: {
-          Keys: matches.map(fromObject),
-        },
-      },
+
+    return table ? results[table] : results;
+  }
+
+  memoryStats({ table } = {}) {
+    if (table) {
+      const lru = this._lru(table);
+      return lru ? lru.stats() : undefined;
+    }
+    const stats = {};
+    Object.keys(this.memory).forEach((tableName) => {
+      stats[tableName] = this._lru(tableName).stats();
     });
+    return stats;
+  }
 
-    const { Responses } = await this.client.send(cmd);
-    return Responses?.[table]?.map(toObject);
+  clearMemory({ table } = {}) {
+    const tables = table ? [table] : Object.keys(this._lrus);
+    tables.forEach((tableName) => {
+      if (this._lrus[tableName]) {
+        this._lrus[tableName].clear();
+      }
+    });
   }
 
   async query({
@@ -163,13 +722,89 @@ class Cache {
     match,
     range,
     indexName,
-    limit = 100,
+    lastKey,
+    cursor,
+    limit,
     ascending = true,
     filter,
+    attributes,
+    count = false,
+    maxItems,
+    schema,
+    signal,
   }) {
+    if (count) {
+      return this._countAll(signal, (start) =>
+        this._query({
+          table,
+          match,
+          range,
+          indexName,
+          limit,
+          start,
+          filter,
+          count,
+          schema,
+          signal,
+        })
+      );
+    }
+    if (maxItems) {
+      return this.queryPage({
+        table,
+        match,
+        range,
+        indexName,
+        lastKey,
+        cursor,
+        limit,
+        pageSize: maxItems,
+        ascending,
+        filter,
+        attributes,
+        schema,
+        signal,
+      });
+    }
     const items = [];
-    let last;
+    for await (const item of this.queryIterator({
+      table,
+      match,
+      range,
+      indexName,
+      lastKey,
+      cursor,
+      limit,
+      ascending,
+      filter,
+      attributes,
+      schema,
+      signal,
+    })) {
+      items.push(item);
+    }
+    return items;
+  }
+
+  async *queryIterator({
+    table,
+    match,
+    range,
+    indexName,
+    lastKey,
+    cursor,
+    limit = 100,
+    ascending = true,
+    filter,
+    attributes,
+    pages = false,
+    schema,
+    signal,
+  }) {
+    let last = lastKey;
+    let pageCursor = cursor;
     do {
+      this._throwIfAborted(signal);
       const { Items, LastEvaluatedKey } = await this._query({
         table,
         match,
@@ -177,14 +812,22 @@ class Cache {
         indexName,
         limit,
         start: last,
+        cursor: pageCursor,
         ascending,
         filter,
+        attributes,
+        schema,
+        signal,
       });
-      items.push(...Items.map(toObject));
       last = LastEvaluatedKey;
+      pageCursor = undefined;
+      const items = Items.map((item) => this._toObject(table, item, schema));
+      if (pages) {
+        yield { items, lastKey: last };
+      } else {
+        yield* items;
+      }
     } while (last);
-
-    return items;
   }
 
   async queryPage({
@@ -193,51 +836,125 @@ class Cache {
     range,
     indexName,
     lastKey,
+    cursor,
     limit = 100,
+    pageSize,
     ascending = true,
     filter,
+    attributes,
+    count = false,
+    schema,
+    signal,
   }) {
-    const { Items, LastEvaluatedKey } = await this._query({
+    if (pageSize && !count) {
+      return this._fillPage({
+        table,
+        match,
+        range,
+        indexName,
+        lastKey,
+        cursor,
+        limit,
+        pageSize,
+        ascending,
+        filter,
+        attributes,
+        schema,
+        signal,
+      });
+    }
+    const response = await this._query({
       table,
       match,
       range,
       indexName,
       limit,
       start: lastKey,
+      cursor,
       ascending,
       filter,
+      attributes,
+      count,
+      schema,
+      signal,
     });
-    return { items: Items.map(toObject), lastKey: LastEvaluatedKey };
+    return this._page(table, response, count, schema);
   }
 
-  async updateOne({ table, match, update, returnValues = "NONE", condition }) {
-    update = fromObject(update);
-    const params = {
-      TableName: table,
-      Key: fromObject(match),
-      UpdateExpression: `SET ${Object.keys(update)
-        .map((_, i) => `#K${i}=:val${i}`)
-        .join(",")}`,
-      ExpressionAttributeNames: {},
-      ExpressionAttributeValues: {},
-      ReturnValues: returnValues,
-    };
+  async update({
+    table,
+    match,
+    set,
+    setIfNotExists,
+    append,
+    prepend,
+    remove,
+    add,
+    delete: deletions,
+    returnValues = "NONE",
+    condition,
+    expectedVersion,
+    returnValuesOnConditionCheckFailure,
+    removeUndefined = this.removeUndefined,
+    schema,
+  }) {
+    const validator = this._validator(table);
+    if (validator) {
+      ({ set, setIfNotExists } = validator.update({
+        set,
+        setIfNotExists,
+        removeUndefined,
+      }));
+    }
+    const versioned = this._versioned(table, "update", {
+      match,
+      set,
+      add,
+      condition,
+      expectedVersion,
+    });
+    const expression = this._expression(table, schema);
+    return this._updateItem({
+      table,
+      match,
+      updateExpression: expression.update({
+        set: this._markRemovals(versioned.set, removeUndefined),
+        setIfNotExists,
+        append,
+        prepend,
+        remove,
+        add: versioned.add,
+        delete: deletions,
+      }),
+      expression,
+      returnValues,
+      condition: versioned.condition,
+      conflict: versioned.conflict,
+      returnValuesOnConditionCheckFailure,
+      schema,
+    });
+  }
 
-    Object.keys(update).forEach((key, i) => {
-      params.ExpressionAttributeNames[`#K${i}`] = key;
-      params.ExpressionAttributeValues[`:val${i}`] = update[key];
+  async updateOne({
+    table,
+    match,
+    update,
+    returnValues = "NONE",
+    condition,
+    expectedVersion,
+    returnValuesOnConditionCheckFailure,
+    removeUndefined,
+  }) {
+    return this.update({
+      table,
+      match,
+      set: update,
+      returnValues,
+      condition,
+      expectedVersion,
+      returnValuesOnConditionCheckFailure,
+      removeUndefined,
     });
-    if (condition) {
-      const conditionKey = Object.keys(condition)[0];
-      const comparison = Object.keys(condition[conditionKey])[0];
-      const value = condition[conditionKey][comparison];
-      params.ConditionExpression = `#C ${comparison} :conVal`;
-      params.ExpressionAttributeNames["#C"] = conditionKey;
-      params.ExpressionAttributeValues[":conVal"] = fromObject(value);
-    }
-    const cmd = new UpdateItemCommand(params);
-    const { Attributes } = await this.client.send(cmd);
-    return toObject(Attributes);
   }
 
   async increment({
@@ -247,34 +964,7 @@ class Cache {
     returnValues = "UPDATED_NEW",
     condition,
   }) {
-    update = fromObject(update);
-    const params = {
-      TableName: table,
-      Key: fromObject(match),
-      UpdateExpression: `ADD ${Object.keys(update)
-        .map((_, i) => `#K${i} :val${i}`)
-        .join(",")}`,
-      ExpressionAttributeNames: {},
-      ExpressionAttributeValues: {},
-      ReturnValues: returnValues,
-    };
-
-    Object.keys(update).forEach((key, i) => {
-      params.ExpressionAttributeNames[`#K${i}`] = key;
-      params.ExpressionAttributeValues[`:val${i}`] = update[key];
-    });
-
-    if (condition) {
-      const conditionKey = Object.keys(condition)[0];
-      const comparison = Object.keys(condition[conditionKey])[0];
-      const value = condition[conditionKey][comparison];
-      params.ConditionExpression = `#C ${comparison} :conVal`;
-      params.ExpressionAttributeNames["#C"] = conditionKey;
-      params.ExpressionAttributeValues[":conVal"] = fromObject(value);
-    }
-    const cmd = new UpdateItemCommand(params);
-    const { Attributes } = await this.client.send(cmd);
-    return toObject(Attributes);
+    return this.update({ table, match, add: update, returnValues, condition });
   }
 
   async addToSet({
@@ -294,141 +984,1133 @@ class Cache {
     returnValues = "UPDATED_NEW",
     condition,
   }) {
-    update = fromObject(update);
-    const params = {
-      TableName: table,
-      Key: fromObject(match),
-      UpdateExpression: `DELETE ${Object.keys(update)
-        .map((_, i) => `#K${i} :val${i}`)
-        .join(",")}`,
-      ExpressionAttributeNames: {},
-      ExpressionAttributeValues: {},
-      ReturnValues: returnValues,
-    };
+    return this.update({
+      table,
+      match,
+      delete: update,
+      returnValues,
+      condition,
+    });
+  }
 
-    Object.keys(update).forEach((key, i) => {
-      params.ExpressionAttributeNames[`#K${i}`] = key;
-      params.ExpressionAttributeValues[`:val${i}`] = update[key];
+  async appendToList({
+    table,
+    match,
+    update,
+    returnValues = "NONE",
+    condition,
+  }) {
+    return this.update({
+      table,
+      match,
+      append: update,
+      returnValues,
+      condition,
     });
+  }
 
-    if (condition) {
-      const conditionKey = Object.keys(condition)[0];
-      const comparison = Object.keys(condition[conditionKey])[0];
-      const value = condition[conditionKey][comparison];
-      params.ConditionExpression = `#C ${comparison} :conVal`;
-      params.ExpressionAttributeNames["#C"] = conditionKey;
-      params.ExpressionAttributeValues[":conVal"] = fromObject(value);
+  async transactWrite(operations, { clientRequestToken } = {}) {
+    const cmd = new TransactWriteItemsCommand({
+      TransactItems: operations.map((operation) =>
+        this._transactWriteItem(operation)
+      ),
+      ClientRequestToken: clientRequestToken,
+    });
+    try {
+      return await this._send(cmd, { operations });
+    } finally {
+      operations.forEach((operation) => {
+        const [type] = Object.keys(operation);
+        const { table, item, match } = operation[type];
+        this._forget(table, [item || match]);
+      });
     }
+  }
 
-    const cmd = new UpdateItemCommand(params);
-    const { Attributes } = await this.client.send(cmd);
-    return toObject(Attributes);
+  async transactGet(operations) {
+    const cmd = new TransactGetItemsCommand({
+      TransactItems: operations.map(({ table, match, attributes = [] }) => {
+        const params = {
+          TableName: table,
+          Key: this._fromObject(table, match),
+        };
+        this._applyProjection(params, table, attributes);
+        return { Get: params };
+      }),
+    });
+    const { Responses = [] } = await this._send(cmd, {
+      operations: operations.map((get) => ({ get })),
+    });
+    return operations.map(({ table }, i) =>
+      this._toObject(table, Responses[i]?.Item)
+    );
   }
 
-  async appendToList({
+  registerCodec(codec) {
+    checkCodec(codec);
+    this.codecs.unshift(codec);
+  }
+
+  defineEntity(definition) {
+    return new Entity(this, definition);
+  }
+
+  async get(key, { consistentRead } = {}) {
+    const { table } = this._keyValue();
+    const item = await this.getOne({
+      table,
+      match: this._keyValueMatch(key),
+      consistentRead,
+    });
+    return this._keyValueOf(item);
+  }
+
+  async set(key, value, { ttlSeconds } = {}) {
+    const { table } = this._keyValue();
+    await this.putOne({
+      table,
+      item: this._keyValueItem(key, value, ttlSeconds),
+    });
+  }
+
+  async del(key) {
+    const { table } = this._keyValue();
+    await this.deleteOne({ table, match: this._keyValueMatch(key) });
+  }
+
+  async getOrSet(key, loader, options = {}) {
+    const { ttlSeconds, consistentRead } =
+      typeof options === "number" ? { ttlSeconds: options } : options;
+    const { table, key: keyName } = this._keyValue();
+    const id = this._keyId(this._fromObject(table, this._keyValueMatch(key)), [
+      keyName,
+    ]);
+    if (!this._loaders.has(id)) {
+      const cached = await this.get(key, { consistentRead });
+      if (typeof cached !== "undefined") {
+        return cached;
+      }
+    }
+    if (!this._loaders.has(id)) {
+      this._loaders.set(
+        id,
+        (async () => {
+          try {
+            const value = await loader(key);
+            if (typeof value !== "undefined") {
+              await this.set(key, value, { ttlSeconds });
+            }
+            return value;
+          } finally {
+            this._loaders.delete(id);
+          }
+        })()
+      );
+    }
+    return this._loaders.get(id);
+  }
+
+  async mget(keys, { consistentRead } = {}) {
+    const { table } = this._keyValue();
+    const items = await this.getMany({
+      table,
+      matches: keys.map((key) => this._keyValueMatch(key)),
+      ordered: true,
+      consistentRead,
+    });
+    return items.map((item) => this._keyValueOf(item));
+  }
+
+  async mset(entries, { ttlSeconds } = {}) {
+    const { table } = this._keyValue();
+    const pairs =
+      Array.isArray(entries) || entries instanceof Map
+        ? Array.from(entries)
+        : Object.entries(entries);
+    await this.putMany({
+      table,
+      items: pairs.map(([key, value]) =>
+        this._keyValueItem(key, value, ttlSeconds)
+      ),
+    });
+  }
+
+  async _putItem({
     table,
-    match,
-    update,
+    item,
     returnValues = "NONE",
     condition,
+    returnValuesOnConditionCheckFailure,
+    schema,
   }) {
-    update = fromObject(update);
+    const validator = this._validator(table);
+    if (validator) {
+      item = validator.item(item);
+    }
+    const versioned = this._versioned(table, "put", { item, condition });
     const params = {
       TableName: table,
-      Key: fromObject(match),
-      UpdateExpression: Object.keys(update)
-        .map(
-          (k, i) =>
-            `SET #K${i} = list_append(if_not_exists(#K${i}, :empty_list), :val${i})`
-        )
-        .join(", "),
-      ExpressionAttributeNames: {},
-      ExpressionAttributeValues: {
-        ":empty_list": fromObject([]),
-      },
+      Item: this._fromObject(table, versioned.item, schema),
       ReturnValues: returnValues,
     };
+    if (returnValuesOnConditionCheckFailure) {
+      params.ReturnValuesOnConditionCheckFailure =
+        returnValuesOnConditionCheckFailure;
+    }
+    this._applyCondition(
+      params,
+      versioned.condition,
+      this._expression(table, schema)
+    );
+    const cmd = new PutItemCommand(params);
+    try {
+      const response = await this._send(cmd, {
+        table,
+        item: versioned.item,
+        conflict: versioned.conflict,
+        schema,
+      });
+      return { response, item: versioned.item };
+    } finally {
+      this._forget(table, [item]);
+    }
+  }
+
+  async _updateItem({
+    table,
+    match,
+    updateExpression,
+    expression,
+    returnValues,
+    condition,
+    conflict,
+    returnValuesOnConditionCheckFailure,
+    schema,
+  }) {
+    const params = {
+      TableName: table,
+      Key: this._fromObject(table, match, schema),
+      UpdateExpression: updateExpression,
+      ReturnValues: returnValues,
+    };
+    if (returnValuesOnConditionCheckFailure) {
+      params.ReturnValuesOnConditionCheckFailure =
+        returnValuesOnConditionCheckFailure;
+    }
+    this._applyCondition(params, condition, expression);
+    const cmd = new UpdateItemCommand(params);
+    try {
+      const { Attributes } = await this._send(cmd, {
+        table,
+        key: match,
+        conflict,
+        schema,
+      });
+      return this._toObject(table, Attributes, schema);
+    } finally {
+      this._forget(table, [match]);
+    }
+  }
+
+  _transactWriteItem(operation) {
+    const [type] = Object.keys(operation);
+    if (!TRANSACT_WRITE_TYPES[type]) {
+      throw new Error(`Unsupported transaction operation: ${type}`);
+    }
+    const {
+      table,
+      item,
+      match,
+      update,
+      set,
+      setIfNotExists,
+      append,
+      prepend,
+      remove,
+      add,
+      delete: deletions,
+      condition,
+      expectedVersion,
+      returnValuesOnConditionCheckFailure,
+      removeUndefined = this.removeUndefined,
+    } = operation[type];
+    const versioned = this._versioned(table, type, {
+      item,
+      match,
+      set: { ...update, ...set },
+      add,
+      condition,
+      expectedVersion,
+    });
+    const expression = this._expression(table);
+    const params = { TableName: table };
+    if (type === "put") {
+      params.Item = this._fromObject(table, versioned.item);
+    } else {
+      params.Key = this._fromObject(table, match);
+    }
+    if (type === "update") {
+      params.UpdateExpression = expression.update({
+        set: this._markRemovals(versioned.set, removeUndefined),
+        setIfNotExists,
+        append,
+        prepend,
+        remove,
+        add: versioned.add,
+        delete: deletions,
+      });
+    }
+    if (type === "conditionCheck" && !condition) {
+      throw new Error("conditionCheck operations require a condition");
+    }
+    if (returnValuesOnConditionCheckFailure) {
+      params.ReturnValuesOnConditionCheckFailure =
+        returnValuesOnConditionCheckFailure;
+    }
+    this._applyCondition(params, versioned.condition, expression);
+    return { [TRANSACT_WRITE_TYPES[type]]: params };
+  }
+
+  _keyValue() {
+    if (!this.keyValue || !this.keyValue.table) {
+      throw new Error("Key-value methods require the keyValue.table option");
+    }
+    return {
+      key: "key",
+      value: "value",
+      ttlAttribute: "expires_at",
+      ...this.keyValue,
+    };
+  }
+
+  _keyValueMatch(key) {
+    return { [this._keyValue().key]: key };
+  }
+
+  _keyValueItem(key, value, ttlSeconds = this._keyValue().ttlSeconds) {
+    const config = this._keyValue();
+    const item = { [config.key]: key, [config.value]: value };
+    if (typeof ttlSeconds !== "undefined") {
+      item[config.ttlAttribute] =
+        Math.floor(Date.now() / 1000) + Number(ttlSeconds);
+    }
+    return item;
+  }
+
+  _keyValueOf(item) {
+    if (!item) {
+      return;
+    }
+    const { value, ttlAttribute } = this._keyValue();
+    const expires = item[ttlAttribute];
+    if (
+      typeof expires !== "undefined" &&
+      Number(expires) <= Date.now() / 1000
+    ) {
+      return;
+    }
+    return item[value];
+  }
+
+  _versioned(table, type, operation) {
+    const attribute = this.versions[table];
+    if (!attribute || type === "conditionCheck") {
+      return operation;
+    }
+    const path = escapePath(attribute);
+    const versioned = { ...operation };
+    let { expectedVersion } = operation;
+    if (type === "put") {
+      expectedVersion = operation.item[attribute];
+      versioned.item = {
+        ...operation.item,
+        [attribute]: this._nextVersion(expectedVersion),
+      };
+    }
+    if (type === "update") {
+      const { [path]: setVersion, ...set } = operation.set || {};
+      if (typeof expectedVersion === "undefined") {
+        expectedVersion = setVersion;
+      }
+      versioned.set = set;
+      versioned.add = { ...operation.add, [path]: 1 };
+    }
+    if (type !== "put" && typeof expectedVersion === "undefined") {
+      return versioned;
+    }
+
+    const check =
+      typeof expectedVersion === "undefined"
+        ? { [path]: { exists: false } }
+        : { [path]: { "=": expectedVersion } };
+    if (operation.condition) {
+      versioned.condition = [operation.condition, check];
+    } else {
+      versioned.condition = check;
+      versioned.conflict = {
+        table,
+        key: operation.match,
+        item: operation.item,
+        attribute,
+        expectedVersion,
+      };
+    }
+    return versioned;
+  }
+
+  _nextVersion(version) {
+    if (typeof version === "undefined" || version === null) {
+      return 1;
+    }
+    if (typeof version === "bigint") {
+      return version + BigInt(1);
+    }
+    return Number(version) + 1;
+  }
+
+  async _send(cmd, context = {}) {
+    const operation = CAPACITY_OPERATIONS.get(cmd.constructor);
+    const limiter =
+      operation &&
+      (WRITE_OPERATIONS.has(operation)
+        ? this._writeLimiter
+        : this._readLimiter);
+    const report = operation && this.returnConsumedCapacity;
+    if (report || limiter) {
+      cmd.input.ReturnConsumedCapacity = this.returnConsumedCapacity || "TOTAL";
+    }
+    const estimate = limiter ? this._estimateCapacity(operation, cmd.input) : 0;
+    if (limiter) {
+      await limiter.take(estimate);
+    }
+    let response;
+    try {
+      response = await this.client.send(cmd, { abortSignal: context.signal });
+    } catch (e) {
+      throw await this._error(e, context);
+    }
+    if (response && response.ConsumedCapacity) {
+      if (limiter) {
+        limiter.charge(
+          this._capacityUnits(response.ConsumedCapacity) - estimate
+        );
+      }
+      if (report) {
+        this._reportCapacity(operation, response.ConsumedCapacity);
+      }
+    }
+    return response;
+  }
+
+  _estimateCapacity(operation, input) {
+    const requests = Object.values(input.RequestItems || {});
+    switch (operation) {
+      case "BatchWriteItem":
+        return requests.reduce((total, writes) => total + writes.length, 0);
+      case "BatchGetItem":
+        return requests.reduce((total, { Keys }) => total + Keys.length, 0);
+      case "TransactWriteItems":
+      case "TransactGetItems":
+        return 2 * input.TransactItems.length;
+      default:
+        return 1;
+    }
+  }
+
+  _capacityUnits(consumed) {
+    return []
+      .concat(consumed)
+      .reduce((total, { CapacityUnits = 0 }) => total + CapacityUnits, 0);
+  }
+
+  async _sendPage(cmd, { cursor, ...context }) {
+    const params = { ...cmd.input };
+    if (typeof cursor !== "undefined") {
+      cmd.input.ExclusiveStartKey = decodeCursor(
+        cursor,
+        params,
+        this._cursorSecret(),
+        context.table
+      );
+    }
+    const response = await this._send(cmd, context);
+    return { ...response, request: params };
+  }
+
+  _cursorSecret() {
+    if (!this.cursorSecret) {
+      throw new Error("Cursors require the cursorSecret option");
+    }
+    return this.cursorSecret;
+  }
+
+  _page(
+    table,
+    { Items, Count, ScannedCount, LastEvaluatedKey, request },
+    count,
+    schema
+  ) {
+    const page = count
+      ? { count: Count, scannedCount: ScannedCount }
+      : { items: Items.map((item) => this._toObject(table, item, schema)) };
+    if (this.cursorSecret) {
+      page.cursor = encodeCursor(LastEvaluatedKey, request, this.cursorSecret);
+    } else {
+      page.lastKey = LastEvaluatedKey;
+    }
+    return page;
+  }
+
+  _reportCapacity(operation, consumed) {
+    [].concat(consumed).forEach((capacity) => {
+      const indexes = {
+        ...capacity.GlobalSecondaryIndexes,
+        ...capacity.LocalSecondaryIndexes,
+      };
+      this.onConsumedCapacity({
+        operation,
+        table: capacity.TableName,
+        capacityUnits: capacity.CapacityUnits,
+        readCapacityUnits: capacity.ReadCapacityUnits,
+        writeCapacityUnits: capacity.WriteCapacityUnits,
+        indexes: Object.fromEntries(
+          Object.keys(indexes).map((name) => [
+            name,
+            indexes[name].CapacityUnits,
+          ])
+        ),
+      });
+    });
+  }
+
+  async _error(e, { table, key, item, conflict, operations, schema }) {
+    if (e instanceof DynamoToolsError) {
+      return e;
+    }
+    if (operations && e.name === "TransactionCanceledException") {
+      return this._transactionError(e, operations);
+    }
+    let ErrorType = SDK_ERRORS[e.name];
+    if (!ErrorType) {
+      return e;
+    }
+    if (
+      ErrorType === ValidationError &&
+      /Item size.*exceeded/.test(e.message)
+    ) {
+      ErrorType = ItemTooLargeError;
+    }
+    const details = {
+      table,
+      key: key || (item && (await this._keyOf(table, item))),
+      item: e.Item && this._toObject(table, e.Item, schema),
+      cause: e,
+    };
+    if (conflict && ErrorType === ConditionFailedError) {
+      return this._versionConflict(details, conflict);
+    }
+    return new ErrorType(table ? `${table}: ${e.message}` : e.message, details);
+  }
 
-    Object.keys(update).forEach((key, i) => {
-      params.ExpressionAttributeNames[`#K${i}`] = key;
-      params.ExpressionAttributeValues[`:val${i}`] = update[key];
+  async _keyOf(table, item) {
+    try {
+      const key = {};
+      (await this.getPrimaryKeys({ table })).forEach((name) => {
+        key[name] = item[name];
+      });
+      return key;
+    } catch (e) {
+      return;
+    }
+  }
+
+  _versionConflict(details, { attribute, expectedVersion }) {
+    const expected =
+      typeof expectedVersion === "undefined"
+        ? `no ${attribute}`
+        : `${attribute} ${expectedVersion}`;
+    return new VersionConflictError(
+      `Version conflict on ${details.table}: expected ${expected}`,
+      { ...details, attribute, expectedVersion }
+    );
+  }
+
+  _transactionError(e, operations) {
+    const reasons = [];
+    (e.CancellationReasons || []).forEach(({ Code, Message, Item }, index) => {
+      if (!Code || Code === "None") {
+        return;
+      }
+      const [type] = Object.keys(operations[index]);
+      const { table } = operations[index][type];
+      reasons.push({
+        index,
+        type,
+        table,
+        code: Code,
+        message: Message,
+        item: this._toObject(table, Item),
+      });
+    });
+    const summary = reasons.length
+      ? reasons
+          .map(
+            ({ index, type, table, code }) =>
+              `operation ${index} (${type} on ${table}): ${code}`
+          )
+          .join("; ")
+      : e.message;
+    return new TransactionCanceledError(`Transaction canceled: ${summary}`, {
+      reasons,
+      cause: e,
     });
+  }
 
+  _markRemovals(set, removeUndefined) {
+    if (!set || !removeUndefined) {
+      return set;
+    }
+    const marked = {};
+    Object.keys(set).forEach((key) => {
+      marked[key] = typeof set[key] === "undefined" ? REMOVE : set[key];
+    });
+    return marked;
+  }
+
+  _projection(projection = "ALL") {
+    if (Array.isArray(projection)) {
+      return {
+        ProjectionType: "INCLUDE",
+        NonKeyAttributes: projection,
+      };
+    }
+    return { ProjectionType: projection };
+  }
+
+  _applyCondition(
+    params,
+    condition,
+    expression = this._expression(params.TableName)
+  ) {
     if (condition) {
-      const conditionKey = Object.keys(condition)[0];
-      const comparison = Object.keys(condition[conditionKey])[0];
-      const value = condition[conditionKey][comparison];
-      params.ConditionExpression = `#C ${comparison} :conVal`;
-      params.ExpressionAttributeNames["#C"] = conditionKey;
-      params.ExpressionAttributeValues[":conVal"] = fromObject(value);
+      params.ConditionExpression = expression.condition(condition);
     }
+    return expression.applyTo(params);
+  }
 
-    const cmd = new UpdateItemCommand(params);
-    const { Attributes } = await this.client.send(cmd);
-    return toObject(Attributes);
+  _select(params, expression, { attributes, count }) {
+    if (count) {
+      params.Select = "COUNT";
+    } else if (attributes.length > 0) {
+      params.Select = "SPECIFIC_ATTRIBUTES";
+      params.ProjectionExpression = expression.projection(attributes);
+    }
+  }
+
+  _applyProjection(params, table, attributes, schema) {
+    if (attributes.length === 0) {
+      return;
+    }
+    const expression = this._expression(table, schema);
+    params.ProjectionExpression = expression.projection(attributes);
+    expression.applyTo(params);
+  }
+
+  async _countAll(signal, fetchPage) {
+    let count = 0;
+    let last;
+    do {
+      this._throwIfAborted(signal);
+      const { Count, LastEvaluatedKey } = await fetchPage(last);
+      count += Count;
+      last = LastEvaluatedKey;
+    } while (last);
+    return count;
+  }
+
+  _itemOptions(table, schema) {
+    return {
+      typeMode: this.typeMode,
+      numberMode: this.numberMode,
+      codecs: this.codecs,
+      schema: schema
+        ? { ...this.schemas[table], ...schema }
+        : this.schemas[table],
+    };
+  }
+
+  _fromObject(table, obj, schema) {
+    return fromObject(obj, this._itemOptions(table, schema));
+  }
+
+  _toObject(table, item, schema) {
+    return toObject(item, this._itemOptions(table, schema));
+  }
+
+  _expression(table, schema) {
+    return new Expression(this._itemOptions(table, schema));
+  }
+
+  async _query({ table, cursor, schema, signal, ...options }) {
+    const params = await this._queryParams({ table, schema, ...options });
+    const cmd = new QueryCommand(params);
+    return this._sendPage(cmd, { table, signal, cursor, schema });
   }
 
-  async _query({
+  async _queryParams({
     table,
     match,
     range,
     indexName,
-    limit = 100,
+    limit,
     start,
     ascending = true,
     filter,
+    attributes = [],
+    count = false,
+    schema,
   }) {
+    const expression = this._expression(table, schema);
     const params = {
       TableName: table,
       Limit: limit,
       ExclusiveStartKey: start,
       ScanIndexForward: ascending,
-      KeyConditionExpression: "",
-      ExpressionAttributeNames: {},
-      ExpressionAttributeValues: {},
     };
-    if (match) {
-      if (Object.keys(match).length > 1) {
-        throw new Error(
-          "Match must have exactly one key, which must be am indexed key"
+    params.IndexName = await this._resolveIndex(table, match, range, indexName);
+    const [hashKey] = Object.keys(match);
+    const [rangeKey] = range ? Object.keys(range) : [];
+
+    const keyConditions = [expression.keyCondition(hashKey, match[hashKey])];
+    if (range) {
+      keyConditions.push(expression.keyCondition(rangeKey, range[rangeKey]));
+    }
+    params.KeyConditionExpression = keyConditions.join(" AND ");
+    this._select(params, expression, { attributes, count });
+
+    if (filter) {
+      params.FilterExpression = expression.condition(filter);
+    }
+    expression.applyTo(params);
+    return params;
+  }
+
+  async _fillPage({
+    table,
+    match,
+    range,
+    indexName,
+    lastKey,
+    cursor,
+    limit,
+    pageSize,
+    ascending,
+    filter,
+    attributes = [],
+    schema,
+    signal,
+  }) {
+    const index = await this._resolveIndex(table, match, range, indexName);
+    const keyNames = await this._keyNames(table, index);
+    const hidden = this._unprojectedKeys(keyNames, attributes);
+    const projection = [...attributes, ...hidden.map(escapePath)];
+    const request = await this._queryParams({
+      table,
+      match,
+      range,
+      indexName: index || null,
+      ascending,
+      filter,
+      attributes,
+      schema,
+    });
+    const items = [];
+    let start =
+      typeof cursor === "undefined"
+        ? lastKey
+        : decodeCursor(cursor, request, this._cursorSecret(), table);
+    do {
+      this._throwIfAborted(signal);
+      const response = await this._query({
+        table,
+        match,
+        range,
+        indexName: index || null,
+        limit: filter ? limit : Math.min(limit, pageSize - items.length),
+        start,
+        ascending,
+        filter,
+        attributes: projection,
+        schema,
+        signal,
+      });
+      items.push(...response.Items);
+      start = response.LastEvaluatedKey;
+    } while (items.length < pageSize && start);
+
+    if (items.length > pageSize) {
+      items.length = pageSize;
+      const last = items[pageSize - 1];
+      start = Object.fromEntries(keyNames.map((name) => [name, last[name]]));
+    }
+    return this._page(
+      table,
+      {
+        Items: items.map((item) => this._omit(item, hidden)),
+        LastEvaluatedKey: start,
+        request,
+      },
+      false,
+      schema
+    );
+  }
+
+  _unprojectedKeys(keyNames, attributes) {
+    if (attributes.length === 0) {
+      return [];
+    }
+    return keyNames.filter((name) => !attributes.includes(escapePath(name)));
+  }
+
+  _omit(item, names) {
+    if (!item || names.length === 0) {
+      return item;
+    }
+    const rest = { ...item };
+    names.forEach((name) => delete rest[name]);
+    return rest;
+  }
+
+  async _resolveIndex(table, match, range, indexName) {
+    if (!match || Object.keys(match).length !== 1) {
+      throw new Error(
+        "Match must have exactly one key, the partition key of the table or an index"
+      );
+    }
+    if (range && Object.keys(range).length !== 1) {
+      throw new Error("Range must have exactly one key, the sort key");
+    }
+    if (typeof indexName !== "undefined") {
+      return indexName || undefined;
+    }
+    const [hashKey] = Object.keys(match);
+    const [rangeKey] = range ? Object.keys(range) : [];
+    return this._indexFor(table, hashKey, rangeKey);
+  }
+
+  async _keyNames(table, indexName) {
+    const {
+      KeySchema,
+      GlobalSecondaryIndexes = [],
+      LocalSecondaryIndexes = [],
+    } = await this._cachedDescription(table);
+    const index = [...GlobalSecondaryIndexes, ...LocalSecondaryIndexes].find(
+      ({ IndexName }) => IndexName === indexName
+    );
+    const schema = KeySchema.concat(index ? index.KeySchema : []);
+    return [...new Set(schema.map(({ AttributeName }) => AttributeName))];
+  }
+
+  async _indexFor(table, hashKey, rangeKey) {
+    const {
+      KeySchema,
+      GlobalSecondaryIndexes = [],
+      LocalSecondaryIndexes = [],
+    } = await this._cachedDescription(table);
+    const keyName = (schema, type) =>
+      schema.find(({ KeyType }) => KeyType === type)?.AttributeName;
+    const target = [
+      { KeySchema },
+      ...GlobalSecondaryIndexes,
+      ...LocalSecondaryIndexes,
+    ].find(
+      ({ KeySchema: schema }) =>
+        keyName(schema, "HASH") === hashKey &&
+        (!rangeKey || keyName(schema, "RANGE") === rangeKey)
+    );
+    if (!target) {
+      const keys = rangeKey ? `${hashKey} and ${rangeKey}` : hashKey;
+      throw new Error(`Table ${table} has no table or index keyed by ${keys}`);
+    }
+    return target.IndexName;
+  }
+
+  _cachedDescription(table) {
+    if (!this._descriptions[table]) {
+      this._descriptions[table] = this.describeTable({ table }).catch((e) => {
+        delete this._descriptions[table];
+        throw e;
+      });
+    }
+    return this._descriptions[table];
+  }
+
+  async _writeMany(table, requests, { maxRetries, concurrency, onProgress }) {
+    const total = requests.length;
+    let done = 0;
+    let failed = 0;
+    const errors = [];
+    const responses = await this._mapConcurrent(
+      this._chunk(requests, 25),
+      concurrency,
+      async (batch) => {
+        try {
+          const response = await this._batchWrite(
+            { [table]: batch },
+            { maxRetries }
+          );
+          done += batch.length;
+          return response;
+        } catch (e) {
+          const unprocessed =
+            e instanceof UnprocessedItemsError
+              ? e.unprocessed[table].length
+              : batch.length;
+          done += batch.length - unprocessed;
+          failed += unprocessed;
+          errors.push(e);
+        } finally {
+          if (onProgress) {
+            onProgress({ done, total, failed });
+          }
+        }
+      }
+    );
+    if (errors.length > 0) {
+      throw (
+        errors.find((e) => !(e instanceof UnprocessedItemsError)) ||
+        this._mergeUnprocessed(errors)
+      );
+    }
+    return responses;
+  }
+
+  async _batchWrite(requestItems, { maxRetries = this.maxRetries } = {}) {
+    let unprocessed = requestItems;
+    for (let attempt = 0; ; attempt++) {
+      const cmd = new BatchWriteItemCommand({ RequestItems: unprocessed });
+      const response = await this._send(cmd, {
+        table: this._onlyTable(unprocessed),
+      });
+      if (this._isEmpty(response.UnprocessedItems)) {
+        return response;
+      }
+      unprocessed = response.UnprocessedItems;
+      if (attempt >= maxRetries) {
+        const keys = await this._unprocessedWriteKeys(unprocessed);
+        throw new UnprocessedItemsError(
+          `Batch write left unprocessed items after ${attempt} retries`,
+          { keys, unprocessed }
         );
       }
-      params.IndexName = indexName || Object.keys(match)[0];
-      params.KeyConditionExpression = Object.keys(match)
-        .map((_, i) => `#S${i} = :val${i}`)
-        .join(" AND ");
-      Object.keys(match).forEach((key, i) => {
-        params.ExpressionAttributeNames[`#S${i}`] = key;
-        params.ExpressionAttributeValues[`:val${i}`] = fromObject(match[key]);
+      await this._backoff(attempt);
+    }
+  }
+
+  async _batchGet(requestItems, { maxRetries = this.maxRetries } = {}) {
+    const responses = {};
+    let unprocessed = requestItems;
+    for (let attempt = 0; ; attempt++) {
+      const cmd = new BatchGetItemCommand({ RequestItems: unprocessed });
+      const { Responses = {}, UnprocessedKeys } = await this._send(cmd, {
+        table: this._onlyTable(unprocessed),
       });
+      Object.keys(Responses).forEach((table) => {
+        responses[table] = (responses[table] || []).concat(Responses[table]);
+      });
+      if (this._isEmpty(UnprocessedKeys)) {
+        return responses;
+      }
+      unprocessed = UnprocessedKeys;
+      if (attempt >= maxRetries) {
+        const keys = {};
+        Object.keys(unprocessed).forEach((table) => {
+          keys[table] = unprocessed[table].Keys.map((key) =>
+            this._toObject(table, key)
+          );
+        });
+        throw new UnprocessedItemsError(
+          `Batch get left unprocessed keys after ${attempt} retries`,
+          { keys, unprocessed }
+        );
+      }
+      await this._backoff(attempt);
     }
+  }
 
-    if (range) {
-      const rangeKey = Object.keys(range)[0];
-      const comparison = Object.keys(range[rangeKey])[0];
-      const value = range[rangeKey][comparison];
-      params.KeyConditionExpression += ` AND #R ${comparison} :sortKeyVal`;
-      params.ExpressionAttributeNames["#R"] = rangeKey;
-      params.ExpressionAttributeValues[":sortKeyVal"] = fromObject(value);
+  async _unprocessedWriteKeys(unprocessed) {
+    const keys = {};
+    for (const table of Object.keys(unprocessed)) {
+      const requests = unprocessed[table];
+      const keyNames = requests.some((request) => request.PutRequest)
+        ? await this.getPrimaryKeys({ table })
+        : [];
+      keys[table] = requests.map((request) => {
+        if (request.DeleteRequest) {
+          return this._toObject(table, request.DeleteRequest.Key);
+        }
+        const key = {};
+        keyNames.forEach((name) => {
+          key[name] = request.PutRequest.Item[name];
+        });
+        return this._toObject(table, key);
+      });
     }
+    return keys;
+  }
 
-    if (filter) {
-      params.FilterExpression = Object.keys(filter)
-        .map((filterKey, i) => {
-          params.ExpressionAttributeNames[`#F${i}`] = filterKey;
-          return Object.keys(filter[filterKey]).map((comparison, j) => {
-            const value = filter[filterKey][comparison];
-            params.ExpressionAttributeValues[`:fVal${j + i}`] =
-              fromObject(value);
-            return `#F${i} ${comparison} :fVal${j + i}`;
-          });
-        })
-        .flat()
-        .join(" AND ");
+  _mergeUnprocessed(errors) {
+    if (errors.length === 1) {
+      return errors[0];
     }
+    const keys = {};
+    const unprocessed = {};
+    errors.forEach((e) => {
+      Object.keys(e.keys).forEach((table) => {
+        keys[table] = (keys[table] || []).concat(e.keys[table]);
+        const requests = e.unprocessed[table];
+        unprocessed[table] = Array.isArray(requests)
+          ? (unprocessed[table] || []).concat(requests)
+          : {
+              ...requests,
+              Keys: (unprocessed[table]?.Keys || []).concat(requests.Keys),
+            };
+      });
+    });
+    return new UnprocessedItemsError(errors[0].message, { keys, unprocessed });
+  }
 
-    const cmd = new QueryCommand(params);
-    return this.client.send(cmd);
+  _backoff(attempt) {
+    const ceiling = Math.min(
+      this.maxRetryDelay,
+      this.retryDelay * Math.pow(2, attempt)
+    );
+    return new Promise((resolve) =>
+      setTimeout(resolve, Math.random() * ceiling)
+    );
+  }
+
+  _checkConcurrency(concurrency) {
+    if (!(concurrency >= 1)) {
+      throw new Error(`concurrency must be at least 1, got ${concurrency}`);
+    }
+    return concurrency;
+  }
+
+  async _mapConcurrent(items, concurrency, fn) {
+    this._checkConcurrency(concurrency);
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < items.length) {
+        const i = next++;
+        try {
+          results[i] = await fn(items[i], i);
+        } catch (e) {
+          next = items.length;
+          throw e;
+        }
+      }
+    };
+    await Promise.all(
+      Array.from({ length: Math.min(concurrency, items.length) }, worker)
+    );
+    return results;
+  }
+
+  _lru(table) {
+    if (!this.memory[table]) {
+      return;
+    }
+    if (!this._lrus[table]) {
+      this._lrus[table] = new LRU(this.memory[table]);
+    }
+    return this._lrus[table];
+  }
+
+  _validator(table) {
+    if (!this.validation[table]) {
+      return;
+    }
+    if (!this._validators[table]) {
+      this._validators[table] = new Validator(
+        table,
+        this.validation[table],
+        this._itemOptions(table)
+      );
+    }
+    return this._validators[table];
+  }
+
+  _forget(table, items) {
+    const lru = this._lrus[table];
+    const keyNames = this._memoryKeyNames[table];
+    if (!lru || !keyNames) {
+      return;
+    }
+    const reads = this._reads[table];
+    items.forEach((item) => {
+      const key = {};
+      keyNames.forEach((name) => {
+        key[name] = item[name];
+      });
+      const id = this._keyId(this._fromObject(table, key), keyNames);
+      lru.delete(id);
+      if (reads && reads.has(id)) {
+        reads.get(id).invalidations++;
+      }
+    });
+  }
+
+  _startReads(table, ids) {
+    if (!this._reads[table]) {
+      this._reads[table] = new Map();
+    }
+    const reads = this._reads[table];
+    return new Map(
+      ids.map((id) => {
+        const read = reads.get(id) || { readers: 0, invalidations: 0 };
+        read.readers++;
+        reads.set(id, read);
+        return [id, read.invalidations];
+      })
+    );
+  }
+
+  _finishReads(table, started, found) {
+    const lru = this._lru(table);
+    const reads = this._reads[table];
+    const items = new Map(found);
+    started.forEach((invalidations, id) => {
+      const read = reads.get(id);
+      if (items.has(id) && read.invalidations === invalidations) {
+        lru.set(id, items.get(id));
+      }
+      if (--read.readers === 0) {
+        reads.delete(id);
+      }
+    });
+  }
+
+  _keyId(key, keyNames) {
+    return JSON.stringify(keyNames.map((name) => key[name]));
+  }
+
+  _throwIfAborted(signal) {
+    if (signal?.aborted) {
+      const error = new Error("The operation was aborted");
+      error.name = "AbortError";
+      throw error;
+    }
+  }
+
+  _onlyTable(requestItems) {
+    const tables = Object.keys(requestItems);
+    return tables.length === 1 ? tables[0] : undefined;
+  }
+
+  _isEmpty(obj) {
+    return !obj || Object.keys(obj).length === 0;
   }
 
   _chunk(array, chunkSize) {
@@ -443,21 +2125,37 @@ class Cache {
     return chunks;
   }
 
-  async _scan({ table, keysToReturn = [], start }) {
-    const params = { TableName: table, ExclusiveStartKey: start };
-    if (keysToReturn.length > 0) {
-      params.Select = "SPECIFIC_ATTRIBUTES";
-      params.ProjectionExpression = keysToReturn
-        .map((_, i) => `#K${i}`)
-        .join(",");
-      params.ExpressionAttributeNames = {};
-      keysToReturn.forEach(
-        (key, i) => (params.ExpressionAttributeNames[`#K${i}`] = key)
-      );
+  async _scan({
+    table,
+    indexName,
+    filter,
+    attributes = [],
+    count = false,
+    limit,
+    start,
+    cursor,
+    segment,
+    totalSegments,
+    signal,
+  }) {
+    const expression = this._expression(table);
+    const params = {
+      TableName: table,
+      IndexName: indexName,
+      Limit: limit,
+      ExclusiveStartKey: start,
+      Segment: segment,
+      TotalSegments: totalSegments,
+    };
+    this._select(params, expression, { attributes, count });
+
+    if (filter) {
+      params.FilterExpression = expression.condition(filter);
     }
+    expression.applyTo(params);
 
     const cmd = new ScanCommand(params);
-    return this.client.send(cmd);
+    return this._sendPage(cmd, { table, signal, cursor });
   }
 }
 
@@ -0,0 +1,106 @@
+const crypto = require("crypto");
+const { InvalidCursorError } = require("./Errors");
+
+const UNBOUND_PARAMS = ["ExclusiveStartKey", "Limit", "ReturnConsumedCapacity"];
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object" && !Buffer.isBuffer(value)) {
+    return `{${Object.keys(value)
+      .filter((key) => typeof value[key] !== "undefined")
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function binding(params) {
+  const bound = { ...params };
+  UNBOUND_PARAMS.forEach((name) => delete bound[name]);
+  return crypto
+    .createHash("sha256")
+    .update(stableStringify(bound))
+    .digest("base64url");
+}
+
+function sign(payload, secret) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(payload)
+    .digest("base64url");
+}
+
+function toBase64(binary) {
+  return typeof binary === "string"
+    ? binary
+    : Buffer.from(binary).toString("base64");
+}
+
+function fromBase64(value) {
+  return new Uint8Array(Buffer.from(value, "base64"));
+}
+
+function mapBinary(key, convert) {
+  return Object.fromEntries(
+    Object.entries(key).map(([name, value]) => {
+      if (typeof value.B !== "undefined") {
+        return [name, { B: convert(value.B) }];
+      }
+      if (typeof value.BS !== "undefined") {
+        return [name, { BS: value.BS.map(convert) }];
+      }
+      return [name, value];
+    })
+  );
+}
+
+function encodeCursor(lastKey, params, secret) {
+  if (!lastKey) {
+    return;
+  }
+  const payload = Buffer.from(
+    JSON.stringify({
+      key: mapBinary(lastKey, toBase64),
+      query: binding(params),
+    })
+  ).toString("base64url");
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+function decodeCursor(cursor, params, secret, table) {
+  const invalid = (reason) =>
+    new InvalidCursorError(`Invalid cursor for ${table}: ${reason}`, {
+      table,
+    });
+  const [payload, signature, ...rest] =
+    typeof cursor === "string" ? cursor.split(".") : [];
+  if (!payload || !signature || rest.length > 0) {
+    throw invalid("malformed");
+  }
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (
+    actual.length !== expected.length ||
+    !crypto.timingSafeEqual(actual, expected)
+  ) {
+    throw invalid("signature does not match");
+  }
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(payload, "base64url").toString());
+  } catch (e) {
+    throw invalid("malformed");
+  }
+  if (decoded.query !== binding(params)) {
+    throw invalid("issued for different query parameters");
+  }
+  return mapBinary(decoded.key, fromBase64);
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+};
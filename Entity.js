@@ -0,0 +1,209 @@
+const { escapePath } = require("./Expression");
+
+function templateFields(template) {
+  return template.split(/\{(\w+)\}/).filter((_, i) => i % 2 === 1);
+}
+
+function fillTemplate(template, fields) {
+  const parts = template.split(/\{(\w+)\}/);
+  const missing = [];
+  let value = "";
+  parts.forEach((part, i) => {
+    const isField = i % 2 === 1;
+    const field = isField ? fields[part] : part;
+    if (isField && (typeof field === "undefined" || field === null)) {
+      missing.push(part);
+    } else if (missing.length === 0) {
+      value += `${field}`;
+    }
+  });
+  return { value, missing };
+}
+
+class Entity {
+  constructor(
+    cache,
+    {
+      name,
+      table,
+      keys,
+      indexes = {},
+      attributes = {},
+      typeAttribute = "_type",
+    }
+  ) {
+    if (!name) {
+      throw new Error("Entities require a name");
+    }
+    if (!table || !keys || Object.keys(keys).length === 0) {
+      throw new Error(`Entity ${name} requires a table and key templates`);
+    }
+    this.name = name;
+    this.table = table;
+    this.keys = keys;
+    this.indexes = indexes;
+    this.attributes = attributes;
+    this.typeAttribute = typeAttribute;
+    this.cache = cache;
+  }
+
+  key(fields) {
+    return this._fill(this.keys, fields, "key");
+  }
+
+  async get(fields, { consistentRead } = {}) {
+    const item = await this.cache.getOne({
+      table: this.table,
+      match: this.key(fields),
+      consistentRead,
+      schema: this.attributes,
+    });
+    if (!item || item[this.typeAttribute] !== this.name) {
+      return;
+    }
+    return this._strip(item);
+  }
+
+  async put(data, { condition } = {}) {
+    const item = {
+      ...data,
+      ...this.key(data),
+      [this.typeAttribute]: this.name,
+    };
+    Object.keys(this.indexes).forEach((index) => {
+      const templates = this.indexes[index];
+      const fields = Object.values(templates).flatMap(templateFields);
+      if (fields.every((field) => this._isSet(data[field]))) {
+        Object.assign(item, this._fill(templates, data, index));
+      }
+    });
+    await this.cache.putOne({
+      table: this.table,
+      item,
+      condition,
+      schema: this.attributes,
+    });
+  }
+
+  async update(
+    fields,
+    set = {},
+    { returnValues = "NONE", setIfNotExists, ...options } = {}
+  ) {
+    Object.values(this.keys)
+      .flatMap(templateFields)
+      .forEach((field) => {
+        if (field in set && set[field] !== fields[field]) {
+          throw new Error(`Cannot update key field ${field} of ${this.name}`);
+        }
+      });
+
+    const known = { ...fields, ...set };
+    const indexKeys = {};
+    Object.keys(this.indexes).forEach((index) => {
+      const templates = this.indexes[index];
+      const indexFields = Object.values(templates).flatMap(templateFields);
+      if (!indexFields.some((field) => field in set)) {
+        return;
+      }
+      Object.assign(indexKeys, this._fill(templates, known, index));
+    });
+
+    const attributes = await this.cache.update({
+      ...options,
+      table: this.table,
+      match: this.key(fields),
+      set: { ...set, ...indexKeys },
+      setIfNotExists: {
+        ...setIfNotExists,
+        [escapePath(this.typeAttribute)]: this.name,
+      },
+      returnValues,
+      schema: this.attributes,
+    });
+    return attributes && this._strip(attributes);
+  }
+
+  async delete(fields, { condition } = {}) {
+    await this.cache.deleteOne({
+      table: this.table,
+      match: this.key(fields),
+      condition,
+      schema: this.attributes,
+    });
+  }
+
+  async query(fields = {}, { index, filter, limit, ascending, signal } = {}) {
+    const templates = index ? this.indexes[index] : this.keys;
+    if (!templates) {
+      throw new Error(`Entity ${this.name} has no index ${index}`);
+    }
+    const [hashName, rangeName] = Object.keys(templates);
+    const hash = fillTemplate(templates[hashName], fields);
+    if (hash.missing.length > 0) {
+      throw new Error(
+        `Querying ${this.name} requires ${hash.missing.join(", ")}`
+      );
+    }
+
+    const filters = [{ [escapePath(this.typeAttribute)]: this.name }];
+    let range;
+    if (rangeName) {
+      const { value, missing } = fillTemplate(templates[rangeName], fields);
+      if (missing.length === 0) {
+        range = { [rangeName]: value };
+      } else if (value) {
+        range = { [rangeName]: { beginsWith: value } };
+      }
+    }
+    if (filter) {
+      filters.push(filter);
+    }
+
+    const items = await this.cache.query({
+      table: this.table,
+      match: { [hashName]: hash.value },
+      range,
+      indexName: index || null,
+      filter: filters,
+      limit,
+      ascending,
+      signal,
+      schema: this.attributes,
+    });
+    return items.map((item) => this._strip(item));
+  }
+
+  _fill(templates, fields, description) {
+    const filled = {};
+    Object.keys(templates).forEach((attribute) => {
+      const { value, missing } = fillTemplate(templates[attribute], fields);
+      if (missing.length > 0) {
+        throw new Error(
+          `${this.name} ${description} ${attribute} requires ${missing.join(
+            ", "
+          )}`
+        );
+      }
+      filled[attribute] = value;
+    });
+    return filled;
+  }
+
+  _isSet(value) {
+    return typeof value !== "undefined" && value !== null;
+  }
+
+  _strip(item) {
+    const stripped = { ...item };
+    [this.keys, ...Object.values(this.indexes)].forEach((templates) => {
+      Object.keys(templates).forEach((attribute) => {
+        delete stripped[attribute];
+      });
+    });
+    delete stripped[this.typeAttribute];
+    return stripped;
+  }
+}
+
+module.exports = Entity;
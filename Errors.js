@@ -0,0 +1,92 @@
+class DynamoToolsError extends Error {
+  constructor(message, { table, key, item, cause } = {}) {
+    super(message);
+    this.name = "DynamoToolsError";
+    this.table = table;
+    this.key = key;
+    this.item = item;
+    this.cause = cause;
+  }
+}
+
+class ConditionFailedError extends DynamoToolsError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "ConditionFailedError";
+  }
+}
+
+class ThrottledError extends DynamoToolsError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "ThrottledError";
+  }
+}
+
+class ItemTooLargeError extends DynamoToolsError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "ItemTooLargeError";
+  }
+}
+
+class TableNotFoundError extends DynamoToolsError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "TableNotFoundError";
+  }
+}
+
+class ValidationError extends DynamoToolsError {
+  constructor(message, { errors = [], ...details } = {}) {
+    super(message, details);
+    this.name = "ValidationError";
+    this.errors = errors;
+  }
+}
+
+class InvalidCursorError extends DynamoToolsError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "InvalidCursorError";
+  }
+}
+
+class UnprocessedItemsError extends ThrottledError {
+  constructor(message, { keys, unprocessed }) {
+    super(message);
+    this.name = "UnprocessedItemsError";
+    this.keys = keys;
+    this.unprocessed = unprocessed;
+  }
+}
+
+class TransactionCanceledError extends DynamoToolsError {
+  constructor(message, { reasons, cause }) {
+    super(message, { cause });
+    this.name = "TransactionCanceledError";
+    this.reasons = reasons;
+  }
+}
+
+class VersionConflictError extends ConditionFailedError {
+  constructor(message, { attribute, expectedVersion, ...details }) {
+    super(message, details);
+    this.name = "VersionConflictError";
+    this.attribute = attribute;
+    this.expectedVersion = expectedVersion;
+  }
+}
+
+module.exports = {
+  DynamoToolsError,
+  ConditionFailedError,
+  ThrottledError,
+  ItemTooLargeError,
+  TableNotFoundError,
+  ValidationError,
+  InvalidCursorError,
+  UnprocessedItemsError,
+  TransactionCanceledError,
+  VersionConflictError,
+};
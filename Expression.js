@@ -0,0 +1,397 @@
+const { REMOVE, toAttributeValue, isPOJO, findCodec } = require("./Item");
+
+const COMPARATORS = ["=", "<>", "<", "<=", ">", ">="];
+
+const KEY_OPERATORS = ["=", "<", "<=", ">", ">=", "BETWEEN", "begins_with"];
+
+const OPERATOR_ALIASES = {
+  between: "BETWEEN",
+  in: "IN",
+  exists: "attribute_exists",
+  notexists: "attribute_not_exists",
+  beginswith: "begins_with",
+  type: "attribute_type",
+};
+
+function normalizeOperator(op) {
+  const lower = op.toLowerCase();
+  return OPERATOR_ALIASES[lower] || lower;
+}
+
+function parsePath(path) {
+  const segments = [];
+  let current = "";
+  let i = 0;
+  const invalid = () => new Error(`Invalid attribute path: ${path}`);
+  while (i < path.length) {
+    const char = path[i];
+    if (char === "\\") {
+      if (i + 1 >= path.length) {
+        throw invalid();
+      }
+      current += path[i + 1];
+      i += 2;
+      continue;
+    }
+    if (char === ".") {
+      if (current === "" && typeof segments[segments.length - 1] !== "number") {
+        throw invalid();
+      }
+      if (current !== "") {
+        segments.push(current);
+      }
+      current = "";
+      i++;
+      if (i >= path.length) {
+        throw invalid();
+      }
+      continue;
+    }
+    if (char === "[") {
+      const end = path.indexOf("]", i);
+      const index = path.slice(i + 1, end);
+      if (end === -1 || !/^\d+$/.test(index)) {
+        throw invalid();
+      }
+      if (current !== "") {
+        segments.push(current);
+        current = "";
+      } else if (segments.length === 0) {
+        throw invalid();
+      }
+      segments.push(Number(index));
+      i = end + 1;
+      if (i < path.length && path[i] !== "." && path[i] !== "[") {
+        throw invalid();
+      }
+      continue;
+    }
+    current += char;
+    i++;
+  }
+  if (current !== "") {
+    segments.push(current);
+  }
+  if (segments.length === 0) {
+    throw invalid();
+  }
+  return segments;
+}
+
+function escapePath(name) {
+  return name.replace(/[\\.[]/g, (char) => `\\${char}`);
+}
+
+function definedKeys(obj) {
+  return Object.keys(obj).filter((key) => typeof obj[key] !== "undefined");
+}
+
+class Expression {
+  constructor(options = {}) {
+    this.options = options;
+    this.names = {};
+    this.values = {};
+    this._nameCount = 0;
+    this._valueCount = 0;
+  }
+
+  name(attribute) {
+    const existing = Object.keys(this.names).find(
+      (placeholder) => this.names[placeholder] === attribute
+    );
+    if (existing) {
+      return existing;
+    }
+    const placeholder = `#n${this._nameCount++}`;
+    this.names[placeholder] = attribute;
+    return placeholder;
+  }
+
+  path(path) {
+    return parsePath(path)
+      .map((segment, i) => {
+        if (typeof segment === "number") {
+          return `[${segment}]`;
+        }
+        return `${i === 0 ? "" : "."}${this.name(segment)}`;
+      })
+      .join("");
+  }
+
+  value(value, attribute) {
+    const placeholder = `:v${this._valueCount++}`;
+    this.values[placeholder] = toAttributeValue(
+      value,
+      this.options,
+      this._hint(attribute)
+    );
+    return placeholder;
+  }
+
+  condition(condition) {
+    if (Array.isArray(condition)) {
+      return this._join(
+        condition.map((c) => this.condition(c)),
+        "AND"
+      );
+    }
+
+    if (!isPOJO(condition)) {
+      throw new Error("Condition must be an object or an array of objects");
+    }
+
+    const parts = Object.keys(condition).map((key) => {
+      const operand = condition[key];
+      switch (key) {
+        case "$and":
+          return this._join(this._conditions(key, operand), "AND");
+        case "$or":
+          return this._join(this._conditions(key, operand), "OR");
+        case "$not":
+          return `NOT (${this.condition(operand)})`;
+        default:
+          return this._attribute(key, operand);
+      }
+    });
+
+    return this._join(parts, "AND");
+  }
+
+  keyCondition(attribute, condition) {
+    const name = this.name(attribute);
+    if (!isPOJO(condition) || findCodec(condition, this.options)) {
+      return `${name} = ${this.value(condition, attribute)}`;
+    }
+    const operators = Object.keys(condition);
+    if (operators.length !== 1) {
+      throw new Error(
+        `Key condition on ${attribute} must have exactly one operator`
+      );
+    }
+    const [operator] = operators;
+    const op = normalizeOperator(operator);
+    if (!KEY_OPERATORS.includes(op)) {
+      throw new Error(`Unsupported key condition operator: ${operator}`);
+    }
+    if (op === "begins_with") {
+      return `begins_with(${name}, ${this.value(
+        condition[operator],
+        attribute
+      )})`;
+    }
+    return this._compare(name, op, condition[operator], attribute);
+  }
+
+  update({
+    set = {},
+    setIfNotExists = {},
+    append = {},
+    prepend = {},
+    remove = [],
+    add = {},
+    delete: deletions = {},
+  }) {
+    const sets = [
+      ...definedKeys(set)
+        .filter((attribute) => set[attribute] !== REMOVE)
+        .map(
+          (attribute) =>
+            `${this.path(attribute)} = ${this.value(set[attribute], attribute)}`
+        ),
+      ...definedKeys(setIfNotExists).map((attribute) => {
+        const name = this.path(attribute);
+        const value = this.value(setIfNotExists[attribute], attribute);
+        return `${name} = if_not_exists(${name}, ${value})`;
+      }),
+      ...definedKeys(append).map((attribute) => {
+        const name = this.path(attribute);
+        const value = this.value(append[attribute]);
+        return `${name} = list_append(if_not_exists(${name}, ${this._emptyList()}), ${value})`;
+      }),
+      ...definedKeys(prepend).map((attribute) => {
+        const name = this.path(attribute);
+        const value = this.value(prepend[attribute]);
+        return `${name} = list_append(${value}, if_not_exists(${name}, ${this._emptyList()}))`;
+      }),
+    ];
+    const actions = (values) =>
+      definedKeys(values).map((attribute) => {
+        const name = this.path(attribute);
+        return `${name} ${this.value(values[attribute], attribute)}`;
+      });
+    const removals = definedKeys(set)
+      .filter((attribute) => set[attribute] === REMOVE)
+      .concat(remove)
+      .map((attribute) => this.path(attribute));
+    const additions = actions(add);
+    const setDeletions = actions(deletions);
+
+    const clauses = [];
+    if (sets.length > 0) {
+      clauses.push(`SET ${sets.join(", ")}`);
+    }
+    if (removals.length > 0) {
+      clauses.push(`REMOVE ${removals.join(", ")}`);
+    }
+    if (additions.length > 0) {
+      clauses.push(`ADD ${additions.join(", ")}`);
+    }
+    if (setDeletions.length > 0) {
+      clauses.push(`DELETE ${setDeletions.join(", ")}`);
+    }
+    if (clauses.length === 0) {
+      throw new Error(
+        "Update must contain at least one set, remove, add or delete action"
+      );
+    }
+    return clauses.join(" ");
+  }
+
+  projection(attributes) {
+    return attributes.map((attribute) => this.path(attribute)).join(", ");
+  }
+
+  applyTo(params) {
+    if (Object.keys(this.names).length > 0) {
+      params.ExpressionAttributeNames = {
+        ...params.ExpressionAttributeNames,
+        ...this.names,
+      };
+    }
+    if (Object.keys(this.values).length > 0) {
+      params.ExpressionAttributeValues = {
+        ...params.ExpressionAttributeValues,
+        ...this.values,
+      };
+    }
+    return params;
+  }
+
+  _emptyList() {
+    if (!this._emptyListPlaceholder) {
+      this._emptyListPlaceholder = this.value([]);
+    }
+    return this._emptyListPlaceholder;
+  }
+
+  _hint(attribute) {
+    if (typeof attribute === "undefined" || !this.options.schema) {
+      return;
+    }
+    let hint = this.options.schema;
+    for (const segment of parsePath(attribute)) {
+      if (typeof segment === "number" || !isPOJO(hint)) {
+        return;
+      }
+      hint = hint[segment];
+    }
+    return hint;
+  }
+
+  _conditions(operator, operand) {
+    if (!Array.isArray(operand) || operand.length === 0) {
+      throw new Error(`${operator} requires a non-empty array of conditions`);
+    }
+    return operand.map((c) => this.condition(c));
+  }
+
+  _attribute(attribute, operators) {
+    const name = this.path(attribute);
+    if (!isPOJO(operators) || findCodec(operators, this.options)) {
+      return `${name} = ${this.value(operators, attribute)}`;
+    }
+
+    return this._join(
+      Object.keys(operators).map((op) =>
+        this._operator(name, normalizeOperator(op), operators[op], attribute)
+      ),
+      "AND"
+    );
+  }
+
+  _operator(name, op, operand, attribute) {
+    switch (op) {
+      case "attribute_exists":
+        return operand
+          ? `attribute_exists(${name})`
+          : `attribute_not_exists(${name})`;
+      case "attribute_not_exists":
+        return operand
+          ? `attribute_not_exists(${name})`
+          : `attribute_exists(${name})`;
+      case "begins_with":
+        return `${op}(${name}, ${this.value(operand, attribute)})`;
+      case "contains":
+      case "attribute_type":
+        return `${op}(${name}, ${this.value(operand)})`;
+      case "size":
+        if (!isPOJO(operand)) {
+          return `size(${name}) = ${this.value(operand)}`;
+        }
+        return this._join(
+          Object.keys(operand).map((sizeOp) =>
+            this._compare(
+              `size(${name})`,
+              normalizeOperator(sizeOp),
+              operand[sizeOp]
+            )
+          ),
+          "AND"
+        );
+      default:
+        return this._compare(name, op, operand, attribute);
+    }
+  }
+
+  _compare(operand1, op, operand2, attribute) {
+    if (COMPARATORS.includes(op)) {
+      return `${operand1} ${op} ${this.value(operand2, attribute)}`;
+    }
+
+    if (op === "BETWEEN") {
+      if (!Array.isArray(operand2) || operand2.length !== 2) {
+        throw new Error("BETWEEN requires an array of exactly two values");
+      }
+      const [low, high] = operand2.map((value) => this.value(value, attribute));
+      return `${operand1} BETWEEN ${low} AND ${high}`;
+    }
+
+    if (op === "IN") {
+      const values = Array.isArray(operand2) ? operand2 : Array.from(operand2);
+      if (values.length === 0) {
+        throw new Error("IN requires at least one value");
+      }
+      return `${operand1} IN (${values
+        .map((value) => this.value(value, attribute))
+        .join(", ")})`;
+    }
+
+    throw new Error(`Unsupported condition operator: ${op}`);
+  }
+
+  _join(parts, operator) {
+    if (parts.length === 0) {
+      throw new Error("Condition must not be empty");
+    }
+    if (parts.length === 1) {
+      return parts[0];
+    }
+    return parts.map((part) => `(${part})`).join(` ${operator} `);
+  }
+}
+
+function buildCondition(condition, options) {
+  const expression = new Expression(options);
+  return {
+    expression: expression.condition(condition),
+    names: expression.names,
+    values: expression.values,
+  };
+}
+
+module.exports = {
+  Expression,
+  parsePath,
+  escapePath,
+  buildCondition,
+};
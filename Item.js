@@ -1,4 +1,71 @@
-function toObject(dynamoItem) {
+const REMOVE = Symbol("dynamo-tools.REMOVE");
+
+const DYNAMO_TYPES = ["S", "N", "B", "BOOL", "SS", "NS", "BS", "L", "M"];
+
+const codecs = {
+  isoDate: {
+    name: "isoDate",
+    type: Date,
+    serialize: (date) => date.toISOString(),
+    deserialize: (value) => new Date(value),
+  },
+  epochDate: {
+    name: "epochDate",
+    type: Date,
+    dynamoType: "N",
+    serialize: (date) => date.getTime(),
+    deserialize: (value) => new Date(Number(value)),
+  },
+  map: {
+    name: "map",
+    type: Map,
+    dynamoType: "M",
+    serialize: (map) => Object.fromEntries(map),
+    deserialize: (value) => new Map(Object.entries(value)),
+  },
+};
+
+const registry = [codecs.map, codecs.isoDate];
+
+function checkCodec(codec) {
+  if (!codec.name || !codec.serialize || !codec.deserialize) {
+    throw new Error("Codecs require a name, serialize and deserialize");
+  }
+}
+
+function registerCodec(codec) {
+  checkCodec(codec);
+  registry.unshift(codec);
+}
+
+function allCodecs(options = {}) {
+  return (options.codecs || []).concat(registry);
+}
+
+function findCodec(value, options) {
+  return allCodecs(options).find((codec) =>
+    codec.test ? codec.test(value) : codec.type && value instanceof codec.type
+  );
+}
+
+function codecForHint(hint, options) {
+  if (typeof hint !== "string" || DYNAMO_TYPES.includes(hint)) {
+    return;
+  }
+  const codec = allCodecs(options)
+    .concat(Object.values(codecs))
+    .find(({ name }) => name === hint);
+  if (!codec) {
+    throw new Error(`Unknown attribute type: ${hint}`);
+  }
+  return codec;
+}
+
+function toObject(dynamoItem, options = {}) {
+  return unmarshall(dynamoItem, options, options.schema);
+}
+
+function unmarshall(dynamoItem, options, hint) {
   if (typeof dynamoItem === "undefined") {
     return;
   }
@@ -7,12 +74,22 @@ function toObject(dynamoItem) {
     return dynamoItem;
   }
 
+  if (typeof hint === "string" && !dynamoItem.NULL) {
+    const codec = codecForHint(hint, options);
+    if (codec) {
+      return codec.deserialize(
+        unmarshall(dynamoItem, options, codec.dynamoType)
+      );
+    }
+    return unmarshallAs(dynamoItem, hint, options);
+  }
+
   if (typeof dynamoItem.S !== "undefined") {
     return dynamoItem.S.toString();
   }
 
   if (typeof dynamoItem.N !== "undefined") {
-    return Number(dynamoItem.N);
+    return parseNumber(dynamoItem.N, options);
   }
 
   if (dynamoItem.B) {
@@ -28,15 +105,11 @@ function toObject(dynamoItem) {
   }
 
   if (dynamoItem.M) {
-    const obj = {};
-    Object.keys(dynamoItem.M).forEach((key) => {
-      obj[key] = toObject(dynamoItem.M[key]);
-    });
-    return obj;
+    return unmarshallMap(dynamoItem.M, options, hint);
   }
 
   if (dynamoItem.L) {
-    return dynamoItem.L.map(toObject);
+    return dynamoItem.L.map((elem) => unmarshall(elem, options));
   }
 
   if (dynamoItem.SS) {
@@ -44,7 +117,7 @@ function toObject(dynamoItem) {
   }
 
   if (dynamoItem.NS) {
-    return new Set(dynamoItem.NS.map(Number));
+    return new Set(dynamoItem.NS.map((n) => parseNumber(n, options)));
   }
 
   if (dynamoItem.BS) {
@@ -52,31 +125,103 @@ function toObject(dynamoItem) {
   }
 
   if (Array.isArray(dynamoItem)) {
-    return dynamoItem.map(toObject);
+    return dynamoItem.map((elem) => unmarshall(elem, options));
   }
 
   if (typeof dynamoItem === "object") {
-    const obj = {};
-    Object.keys(dynamoItem).forEach((key) => {
-      obj[key] = toObject(dynamoItem[key]);
-    });
-    return obj;
+    return unmarshallMap(dynamoItem, options, hint);
+  }
+}
+
+function unmarshallMap(map, options, schema = {}) {
+  const obj = {};
+  Object.keys(map).forEach((key) => {
+    obj[key] = unmarshall(map[key], options, schema[key]);
+  });
+  return obj;
+}
+
+function unmarshallAs(dynamoItem, type, options) {
+  const [storedType] = Object.keys(dynamoItem);
+  const stored = dynamoItem[storedType];
+  switch (type) {
+    case "S":
+      return typeof stored === "object"
+        ? unmarshall(dynamoItem, options)
+        : `${stored}`;
+    case "N":
+      return parseNumber(stored, options);
+    case "SS":
+      return new Set(Array.from(stored).map(String));
+    case "NS":
+      return new Set(Array.from(stored).map((n) => parseNumber(n, options)));
+    default:
+      return unmarshall(dynamoItem, options);
   }
 }
 
-function fromObject(obj) {
+function parseNumber(value, options = {}) {
+  const str = `${value}`;
+  const { numberMode = "number" } = options;
+  if (typeof numberMode === "function") {
+    return new numberMode(str);
+  }
+  switch (numberMode) {
+    case "string":
+      return str;
+    case "bigint":
+      return /^-?\d+$/.test(str) ? BigInt(str) : Number(str);
+    default:
+      return Number(str);
+  }
+}
+
+function isNumber(value, options = {}) {
+  return (
+    typeof value === "number" ||
+    typeof value === "bigint" ||
+    (typeof options.numberMode === "function" &&
+      value instanceof options.numberMode)
+  );
+}
+
+function fromObject(obj, options = {}) {
+  if (isPOJO(obj) && !findCodec(obj, options)) {
+    return marshallMap(obj, options, options.schema);
+  }
+  return marshall(obj, options);
+}
+
+function toAttributeValue(value, options = {}, hint) {
+  return marshall(value, options, hint);
+}
+
+function marshall(obj, options, hint) {
   if (typeof obj === "undefined") {
     return;
   }
 
-  if (typeof obj === "string" && !/^\d+$/.test(obj)) {
+  if (obj === null) {
+    return { NULL: true };
+  }
+
+  const codec = codecForHint(hint, options) || findCodec(obj, options);
+  if (codec) {
+    return marshall(codec.serialize(obj), options, codec.dynamoType);
+  }
+
+  if (typeof hint === "string") {
+    return marshallAs(obj, hint, options);
+  }
+
+  if (typeof obj === "string") {
+    if (options.typeMode === "legacy" && /^\d+$/.test(obj)) {
+      return { N: obj };
+    }
     return { S: obj };
   }
 
-  if (
-    typeof obj === "number" ||
-    (typeof obj === "string" && !isNaN(obj) && !isNaN(parseFloat(obj)))
-  ) {
+  if (isNumber(obj, options)) {
     return { N: obj.toString() };
   }
 
@@ -88,15 +233,8 @@ function fromObject(obj) {
     return { BOOL: obj };
   }
 
-  if (obj === null) {
-    return { NULL: true };
-  }
-
   if (Array.isArray(obj)) {
-    if (isPOJO(obj[0])) {
-      return { L: obj.map((elem) => ({ M: fromObject(elem) })) };
-    }
-    return { L: obj.map(fromObject) };
+    return { L: obj.map((elem) => marshall(elem, options)) };
   }
 
   if (obj instanceof Set) {
@@ -105,8 +243,8 @@ function fromObject(obj) {
       return { SS: Array.from(obj) };
     }
 
-    if (typeof member === "number") {
-      return { NS: Array.from(obj) };
+    if (isNumber(member, options)) {
+      return { NS: Array.from(obj).map(String) };
     }
 
     if (Buffer.isBuffer(member)) {
@@ -115,18 +253,44 @@ function fromObject(obj) {
   }
 
   if (typeof obj === "object") {
-    const item = {};
-    Object.keys(obj).forEach((key) => {
-      if (isPOJO(obj[key])) {
-        item[key] = { M: fromObject(obj[key]) };
-      } else {
-        item[key] = fromObject(obj[key]);
-      }
-      if (typeof item[key] === "undefined") {
-        delete item[key];
-      }
-    });
-    return item;
+    return { M: marshallMap(obj, options, hint) };
+  }
+}
+
+function marshallMap(obj, options, schema = {}) {
+  const item = {};
+  Object.keys(obj).forEach((key) => {
+    const value = marshall(obj[key], options, schema[key]);
+    if (typeof value !== "undefined") {
+      item[key] = value;
+    }
+  });
+  return item;
+}
+
+function marshallAs(obj, type, options) {
+  switch (type) {
+    case "S":
+      return { S: `${obj}` };
+    case "N":
+      return { N: `${obj}` };
+    case "B":
+      return { B: Buffer.from(obj).toString("base64") };
+    case "BOOL":
+      return { BOOL: Boolean(obj) };
+    case "SS":
+      return { SS: Array.from(obj).map(String) };
+    case "NS":
+      return { NS: Array.from(obj).map(String) };
+    case "BS":
+      return {
+        BS: Array.from(obj).map((buff) => Buffer.from(buff).toString("base64")),
+      };
+    case "L":
+    case "M":
+      return marshall(obj, options);
+    default:
+      throw new Error(`Unknown attribute type: ${type}`);
   }
 }
 
@@ -141,7 +305,14 @@ function isPOJO(obj) {
 }
 
 module.exports = {
+  REMOVE,
   toObject,
   fromObject,
+  toAttributeValue,
   isPOJO,
+  isNumber,
+  codecs,
+  checkCodec,
+  registerCodec,
+  findCodec,
 };
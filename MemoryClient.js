@@ -0,0 +1,1399 @@
+const {
+  DynamoDBServiceException,
+  ConditionalCheckFailedException,
+  ResourceInUseException,
+  ResourceNotFoundException,
+  TransactionCanceledException,
+} = require("@aws-sdk/client-dynamodb");
+
+const MAX_ITEM_SIZE = 400 * 1024;
+const MAX_PAGE_SIZE = 1024 * 1024;
+
+const COMMANDS = {
+  CreateTableCommand: "_createTable",
+  DeleteTableCommand: "_deleteTable",
+  DescribeTableCommand: "_describeTable",
+  UpdateTimeToLiveCommand: "_updateTimeToLive",
+  DescribeTimeToLiveCommand: "_describeTimeToLive",
+  GetItemCommand: "_getItem",
+  PutItemCommand: "_putItem",
+  DeleteItemCommand: "_deleteItem",
+  UpdateItemCommand: "_updateItem",
+  QueryCommand: "_query",
+  ScanCommand: "_scan",
+  BatchGetItemCommand: "_batchGetItem",
+  BatchWriteItemCommand: "_batchWriteItem",
+  TransactGetItemsCommand: "_transactGetItems",
+  TransactWriteItemsCommand: "_transactWriteItems",
+};
+
+function validationError(message) {
+  return new DynamoDBServiceException({
+    name: "ValidationException",
+    $fault: "client",
+    $metadata: {},
+    message,
+  });
+}
+
+function clone(value) {
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return Buffer.from(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (value && typeof value === "object") {
+    const copy = {};
+    Object.keys(value).forEach((key) => {
+      copy[key] = clone(value[key]);
+    });
+    return copy;
+  }
+  return value;
+}
+
+function typeOf(value) {
+  return Object.keys(value)[0];
+}
+
+function toBuffer(binary) {
+  return typeof binary === "string"
+    ? Buffer.from(binary, "base64")
+    : Buffer.from(binary);
+}
+
+function isInteger(number) {
+  return /^-?\d+$/.test(number);
+}
+
+function compareNumbers(a, b) {
+  if (isInteger(a) && isInteger(b)) {
+    const x = BigInt(a);
+    const y = BigInt(b);
+    return x < y ? -1 : x > y ? 1 : 0;
+  }
+  return Math.sign(Number(a) - Number(b));
+}
+
+function addNumbers(a, b, sign = 1) {
+  if (isInteger(a) && isInteger(b)) {
+    return (BigInt(a) + BigInt(sign) * BigInt(b)).toString();
+  }
+  return String(Number(a) + sign * Number(b));
+}
+
+function compare(a, b) {
+  if (!a || !b || typeOf(a) !== typeOf(b)) {
+    return NaN;
+  }
+  switch (typeOf(a)) {
+    case "N":
+      return compareNumbers(a.N, b.N);
+    case "S":
+      return Buffer.compare(Buffer.from(a.S), Buffer.from(b.S));
+    case "B":
+      return Buffer.compare(toBuffer(a.B), toBuffer(b.B));
+    default:
+      return NaN;
+  }
+}
+
+function equal(a, b) {
+  if (!a || !b || typeOf(a) !== typeOf(b)) {
+    return false;
+  }
+  const type = typeOf(a);
+  switch (type) {
+    case "N":
+    case "S":
+    case "B":
+      return compare(a, b) === 0;
+    case "BOOL":
+    case "NULL":
+      return a[type] === b[type];
+    case "SS":
+    case "NS":
+    case "BS": {
+      const member = type[0];
+      return (
+        a[type].length === b[type].length &&
+        a[type].every((x) =>
+          b[type].some((y) => equal({ [member]: x }, { [member]: y }))
+        )
+      );
+    }
+    case "L":
+      return (
+        a.L.length === b.L.length &&
+        a.L.every((value, i) => equal(value, b.L[i]))
+      );
+    case "M": {
+      const keys = Object.keys(a.M);
+      return (
+        keys.length === Object.keys(b.M).length &&
+        keys.every((key) => equal(a.M[key], b.M[key]))
+      );
+    }
+    default:
+      return false;
+  }
+}
+
+function canonical(value) {
+  switch (typeOf(value)) {
+    case "N":
+      return {
+        N: isInteger(value.N)
+          ? BigInt(value.N).toString()
+          : String(Number(value.N)),
+      };
+    case "B":
+      return { B: toBuffer(value.B).toString("base64") };
+    default:
+      return value;
+  }
+}
+
+function sizeOf(value) {
+  if (!value) {
+    return;
+  }
+  const type = typeOf(value);
+  switch (type) {
+    case "S":
+      return { N: String(Buffer.byteLength(value.S)) };
+    case "B":
+      return { N: String(toBuffer(value.B).length) };
+    case "SS":
+    case "NS":
+    case "BS":
+    case "L":
+      return { N: String(value[type].length) };
+    case "M":
+      return { N: String(Object.keys(value.M).length) };
+    default:
+      return;
+  }
+}
+
+function itemSize(item) {
+  return Buffer.byteLength(JSON.stringify(item));
+}
+
+function resolve(item, path) {
+  let current = { M: item };
+  for (const segment of path) {
+    if (typeof segment === "number") {
+      current = current.L ? current.L[segment] : undefined;
+    } else {
+      current = current.M ? current.M[segment] : undefined;
+    }
+    if (!current) {
+      return;
+    }
+  }
+  return current;
+}
+
+function invalidPath() {
+  return validationError(
+    "The document path provided in the update expression is invalid for update"
+  );
+}
+
+function assign(item, path, value) {
+  const parent = resolve(item, path.slice(0, -1));
+  const last = path[path.length - 1];
+  if (typeof last === "number") {
+    if (!parent || !parent.L) {
+      throw invalidPath();
+    }
+    if (last >= parent.L.length) {
+      parent.L.push(value);
+    } else {
+      parent.L[last] = value;
+    }
+    return;
+  }
+  if (!parent || !parent.M) {
+    throw invalidPath();
+  }
+  parent.M[last] = value;
+}
+
+function unassign(item, path) {
+  const parent = resolve(item, path.slice(0, -1));
+  const last = path[path.length - 1];
+  if (typeof last === "number" && parent && parent.L) {
+    parent.L.splice(last, 1);
+  } else if (parent && parent.M) {
+    delete parent.M[last];
+  }
+}
+
+function operandTypeError(operator, value) {
+  return validationError(
+    `Invalid UpdateExpression: Incorrect operand type for operator or function; operator: ${operator}, operand type: ${
+      value ? typeOf(value) : "NULL"
+    }`
+  );
+}
+
+function addTo(current, value) {
+  const type = typeOf(value);
+  if (current && typeOf(current) !== type) {
+    throw operandTypeError("ADD", current);
+  }
+  if (type === "N") {
+    return current ? { N: addNumbers(current.N, value.N) } : value;
+  }
+  if (["SS", "NS", "BS"].includes(type)) {
+    if (!current) {
+      return value;
+    }
+    const member = type[0];
+    const added = value[type].filter(
+      (x) => !current[type].some((y) => equal({ [member]: x }, { [member]: y }))
+    );
+    return { [type]: current[type].concat(added) };
+  }
+  throw operandTypeError("ADD", value);
+}
+
+function deleteFrom(current, value) {
+  const type = typeOf(value);
+  if (!["SS", "NS", "BS"].includes(type)) {
+    throw operandTypeError("DELETE", value);
+  }
+  if (!current) {
+    return;
+  }
+  if (typeOf(current) !== type) {
+    throw operandTypeError("DELETE", current);
+  }
+  const member = type[0];
+  const remaining = current[type].filter(
+    (x) => !value[type].some((y) => equal({ [member]: x }, { [member]: y }))
+  );
+  return remaining.length > 0 ? { [type]: remaining } : undefined;
+}
+
+function overlaps(a, b) {
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    if (a[i] !== b[i]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function applyUpdate(original, actions) {
+  actions.forEach((action, i) => {
+    if (
+      actions.slice(i + 1).some((other) => overlaps(action.path, other.path))
+    ) {
+      throw validationError(
+        "Invalid UpdateExpression: Two document paths overlap with each other"
+      );
+    }
+  });
+  const values = actions.map((action) =>
+    action.value ? action.value(original) : undefined
+  );
+  const item = clone(original);
+  actions.forEach(({ type, path }, i) => {
+    switch (type) {
+      case "SET":
+        assign(item, path, values[i]);
+        break;
+      case "REMOVE":
+        unassign(item, path);
+        break;
+      case "ADD":
+        assign(item, path, addTo(resolve(item, path), values[i]));
+        break;
+      case "DELETE": {
+        const remaining = deleteFrom(resolve(item, path), values[i]);
+        if (remaining) {
+          assign(item, path, remaining);
+        } else {
+          unassign(item, path);
+        }
+        break;
+      }
+    }
+  });
+  return item;
+}
+
+function compact(value) {
+  if (value.L) {
+    return { L: value.L.filter(Boolean).map(compact) };
+  }
+  if (value.M) {
+    const map = {};
+    Object.keys(value.M).forEach((key) => {
+      map[key] = compact(value.M[key]);
+    });
+    return { M: map };
+  }
+  return value;
+}
+
+function project(item, paths) {
+  const result = { M: {} };
+  paths.forEach((path) => {
+    const value = resolve(item, path);
+    if (!value) {
+      return;
+    }
+    let target = result;
+    path.forEach((segment, i) => {
+      const container = typeof segment === "number" ? "L" : "M";
+      if (i === path.length - 1) {
+        target[container][segment] = clone(value);
+        return;
+      }
+      const next = typeof path[i + 1] === "number" ? { L: [] } : { M: {} };
+      target[container][segment] = target[container][segment] || next;
+      target = target[container][segment];
+    });
+  });
+  return compact(result).M;
+}
+
+const CONDITION_FUNCTIONS = {
+  attribute_exists: (value) => typeof value !== "undefined",
+  attribute_not_exists: (value) => typeof value === "undefined",
+  attribute_type: (value, type) =>
+    Boolean(value && type && typeOf(value) === type.S),
+  begins_with: (value, prefix) => {
+    if (!value || !prefix || typeOf(value) !== typeOf(prefix)) {
+      return false;
+    }
+    if (value.S !== undefined) {
+      return value.S.startsWith(prefix.S);
+    }
+    if (value.B !== undefined) {
+      const buffer = toBuffer(value.B);
+      const start = toBuffer(prefix.B);
+      return buffer.slice(0, start.length).equals(start);
+    }
+    return false;
+  },
+  contains: (value, operand) => {
+    if (!value || !operand) {
+      return false;
+    }
+    const type = typeOf(value);
+    if (type === "S" && operand.S !== undefined) {
+      return value.S.includes(operand.S);
+    }
+    if (["SS", "NS", "BS"].includes(type)) {
+      return value[type].some((member) =>
+        equal({ [type[0]]: member }, operand)
+      );
+    }
+    if (type === "L") {
+      return value.L.some((element) => equal(element, operand));
+    }
+    return false;
+  },
+};
+
+const COMPARATORS = {
+  "=": (a, b) => equal(a, b),
+  "<>": (a, b) => !equal(a, b),
+  "<": (a, b) => compare(a, b) < 0,
+  "<=": (a, b) => compare(a, b) <= 0,
+  ">": (a, b) => compare(a, b) > 0,
+  ">=": (a, b) => compare(a, b) >= 0,
+};
+
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(<>|<=|>=|[=<>()[\],.+-])|([#:]?\w+))/y;
+  while (pattern.lastIndex < expression.length) {
+    const start = pattern.lastIndex;
+    const match = pattern.exec(expression);
+    if (!match) {
+      if (/^\s*$/.test(expression.slice(start))) {
+        break;
+      }
+      throw validationError(
+        `Invalid expression "${expression}": syntax error at position ${start}`
+      );
+    }
+    tokens.push(match[1] || match[2]);
+  }
+  return tokens;
+}
+
+class Parser {
+  constructor(expression, context) {
+    this.expression = expression;
+    this.tokens = tokenize(expression);
+    this.position = 0;
+    this.context = context;
+  }
+
+  condition() {
+    const condition = this._or();
+    this._end();
+    return condition;
+  }
+
+  update() {
+    const actions = [];
+    const clauses = {
+      SET: () => this._setAction(),
+      REMOVE: () => ({ type: "REMOVE", path: this._path() }),
+      ADD: () => ({ type: "ADD", path: this._path(), value: this._value() }),
+      DELETE: () => ({
+        type: "DELETE",
+        path: this._path(),
+        value: this._value(),
+      }),
+    };
+    while (this._peek() !== undefined) {
+      const clause = clauses[this._peek().toUpperCase()];
+      if (!clause) {
+        throw this._error("expected SET, REMOVE, ADD or DELETE");
+      }
+      this.position++;
+      do {
+        actions.push(clause());
+      } while (this._accept(","));
+    }
+    if (actions.length === 0) {
+      throw this._error("the expression is empty");
+    }
+    return actions;
+  }
+
+  projection() {
+    const paths = [this._path()];
+    while (this._accept(",")) {
+      paths.push(this._path());
+    }
+    this._end();
+    return paths;
+  }
+
+  _peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  _accept(token) {
+    const next = this._peek();
+    if (next !== undefined && next.toUpperCase() === token) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  _expect(token) {
+    if (!this._accept(token)) {
+      throw this._error(`expected "${token}"`);
+    }
+  }
+
+  _end() {
+    if (this.position < this.tokens.length) {
+      throw this._error("unexpected token");
+    }
+  }
+
+  _error(message) {
+    const near = this._peek();
+    return validationError(
+      `Invalid expression "${this.expression}": ${message}${
+        near === undefined ? "" : ` near "${near}"`
+      }`
+    );
+  }
+
+  _isCall(name) {
+    const token = this._peek();
+    return (
+      token !== undefined &&
+      token.toLowerCase() === name &&
+      this._peek(1) === "("
+    );
+  }
+
+  _name() {
+    const token = this._peek();
+    if (token === undefined || !/^#?[A-Za-z_]\w*$/.test(token)) {
+      throw this._error("expected an attribute name");
+    }
+    this.position++;
+    if (!token.startsWith("#")) {
+      return token;
+    }
+    const { names, usedNames } = this.context;
+    if (!Object.prototype.hasOwnProperty.call(names, token)) {
+      throw validationError(
+        `An expression attribute name used in the document path is not defined; attribute name: ${token}`
+      );
+    }
+    usedNames.add(token);
+    return names[token];
+  }
+
+  _path() {
+    const path = [this._name()];
+    for (;;) {
+      if (this._accept(".")) {
+        path.push(this._name());
+      } else if (this._accept("[")) {
+        const index = this._peek();
+        if (!/^\d+$/.test(index || "")) {
+          throw this._error("expected a list index");
+        }
+        this.position++;
+        path.push(Number(index));
+        this._expect("]");
+      } else {
+        return path;
+      }
+    }
+  }
+
+  _value() {
+    const token = this._peek();
+    const { values, usedValues } = this.context;
+    if (token === undefined || !token.startsWith(":")) {
+      throw this._error("expected an expression attribute value");
+    }
+    if (!Object.prototype.hasOwnProperty.call(values, token)) {
+      throw validationError(
+        `An expression attribute value used in expression is not defined; attribute value: ${token}`
+      );
+    }
+    this.position++;
+    usedValues.add(token);
+    const value = values[token];
+    return () => value;
+  }
+
+  _operand() {
+    const token = this._peek();
+    if (token !== undefined && token.startsWith(":")) {
+      return this._value();
+    }
+    if (this._isCall("size")) {
+      this.position += 2;
+      const path = this._path();
+      this._expect(")");
+      return (item) => sizeOf(resolve(item, path));
+    }
+    const path = this._path();
+    return (item) => resolve(item, path);
+  }
+
+  _or() {
+    let condition = this._and();
+    while (this._accept("OR")) {
+      const left = condition;
+      const right = this._and();
+      condition = (item) => left(item) || right(item);
+    }
+    return condition;
+  }
+
+  _and() {
+    let condition = this._not();
+    while (this._accept("AND")) {
+      const left = condition;
+      const right = this._not();
+      condition = (item) => left(item) && right(item);
+    }
+    return condition;
+  }
+
+  _not() {
+    if (this._accept("NOT")) {
+      const inner = this._not();
+      return (item) => !inner(item);
+    }
+    return this._primary();
+  }
+
+  _primary() {
+    if (this._accept("(")) {
+      const inner = this._or();
+      this._expect(")");
+      return inner;
+    }
+    const name = Object.keys(CONDITION_FUNCTIONS).find((fn) =>
+      this._isCall(fn)
+    );
+    if (name) {
+      const fn = CONDITION_FUNCTIONS[name];
+      this.position += 2;
+      const args = [this._operand()];
+      while (this._accept(",")) {
+        args.push(this._operand());
+      }
+      this._expect(")");
+      if (args.length !== fn.length) {
+        throw this._error(`wrong number of operands for ${name}`);
+      }
+      return (item) => fn(...args.map((arg) => arg(item)));
+    }
+
+    const left = this._operand();
+    const comparator = COMPARATORS[this._peek()];
+    if (comparator) {
+      this.position++;
+      const right = this._operand();
+      return (item) => comparator(left(item), right(item));
+    }
+    if (this._accept("BETWEEN")) {
+      const low = this._operand();
+      this._expect("AND");
+      const high = this._operand();
+      return (item) => {
+        const value = left(item);
+        return (
+          compare(value, low(item)) >= 0 && compare(value, high(item)) <= 0
+        );
+      };
+    }
+    if (this._accept("IN")) {
+      this._expect("(");
+      const options = [this._operand()];
+      while (this._accept(",")) {
+        options.push(this._operand());
+      }
+      this._expect(")");
+      return (item) => {
+        const value = left(item);
+        return options.some((option) => equal(value, option(item)));
+      };
+    }
+    throw this._error("expected a comparison");
+  }
+
+  _setAction() {
+    const path = this._path();
+    this._expect("=");
+    return { type: "SET", path, value: this._setValue() };
+  }
+
+  _setValue() {
+    const left = this._setOperand();
+    for (const [operator, sign] of [
+      ["+", 1],
+      ["-", -1],
+    ]) {
+      if (this._accept(operator)) {
+        const right = this._setOperand();
+        return (item) => {
+          const a = left(item);
+          const b = right(item);
+          if (typeOf(a) !== "N") {
+            throw operandTypeError(operator, a);
+          }
+          if (typeOf(b) !== "N") {
+            throw operandTypeError(operator, b);
+          }
+          return { N: addNumbers(a.N, b.N, sign) };
+        };
+      }
+    }
+    return left;
+  }
+
+  _setOperand() {
+    if (this._isCall("if_not_exists")) {
+      this.position += 2;
+      const path = this._path();
+      this._expect(",");
+      const fallback = this._setValue();
+      this._expect(")");
+      return (item) => resolve(item, path) || fallback(item);
+    }
+    if (this._isCall("list_append")) {
+      this.position += 2;
+      const first = this._setValue();
+      this._expect(",");
+      const second = this._setValue();
+      this._expect(")");
+      return (item) => {
+        const a = first(item);
+        const b = second(item);
+        [a, b].forEach((list) => {
+          if (typeOf(list) !== "L") {
+            throw operandTypeError("list_append", list);
+          }
+        });
+        return { L: a.L.concat(b.L) };
+      };
+    }
+    const token = this._peek();
+    if (token !== undefined && token.startsWith(":")) {
+      return this._value();
+    }
+    const path = this._path();
+    return (item) => {
+      const value = resolve(item, path);
+      if (!value) {
+        throw validationError(
+          "The provided expression refers to an attribute that does not exist in the item"
+        );
+      }
+      return value;
+    };
+  }
+}
+
+class MemoryClient {
+  constructor() {
+    this.tables = new Map();
+  }
+
+  async send(cmd, { abortSignal } = {}) {
+    const handler = COMMANDS[cmd.constructor.name];
+    if (!handler) {
+      throw validationError(
+        `MemoryClient does not support ${cmd.constructor.name}`
+      );
+    }
+    if (abortSignal && abortSignal.aborted) {
+      const error = new Error("Request aborted");
+      error.name = "AbortError";
+      throw error;
+    }
+    return clone(this[handler](clone(cmd.input)));
+  }
+
+  destroy() {}
+
+  _createTable({
+    TableName,
+    KeySchema,
+    AttributeDefinitions = [],
+    GlobalSecondaryIndexes = [],
+    LocalSecondaryIndexes = [],
+    BillingMode = "PROVISIONED",
+    ProvisionedThroughput,
+  }) {
+    if (this.tables.has(TableName)) {
+      throw new ResourceInUseException({
+        message: `Table already exists: ${TableName}`,
+        $metadata: {},
+      });
+    }
+    const types = {};
+    AttributeDefinitions.forEach(({ AttributeName, AttributeType }) => {
+      types[AttributeName] = AttributeType;
+    });
+    const schema = (keySchema) => {
+      const hash = keySchema.find(({ KeyType }) => KeyType === "HASH");
+      const range = keySchema.find(({ KeyType }) => KeyType === "RANGE");
+      [hash, range].filter(Boolean).forEach(({ AttributeName }) => {
+        if (!types[AttributeName]) {
+          throw validationError(
+            `One or more parameter values were invalid: Some index key attributes are not defined in AttributeDefinitions. Keys: [${AttributeName}]`
+          );
+        }
+      });
+      return {
+        hash: hash.AttributeName,
+        range: range ? range.AttributeName : undefined,
+      };
+    };
+    const table = {
+      name: TableName,
+      keys: schema(KeySchema),
+      types,
+      indexes: {},
+      items: new Map(),
+      ttl: { TimeToLiveStatus: "DISABLED" },
+      description: {
+        TableName,
+        KeySchema,
+        AttributeDefinitions,
+        BillingModeSummary: { BillingMode },
+        ProvisionedThroughput,
+        TableStatus: "ACTIVE",
+        CreationDateTime: new Date(),
+      },
+    };
+    GlobalSecondaryIndexes.concat(LocalSecondaryIndexes).forEach((index) => {
+      table.indexes[index.IndexName] = {
+        ...schema(index.KeySchema),
+        projection: index.Projection || { ProjectionType: "ALL" },
+      };
+    });
+    if (GlobalSecondaryIndexes.length > 0) {
+      table.description.GlobalSecondaryIndexes = GlobalSecondaryIndexes.map(
+        (index) => ({ ...index, IndexStatus: "ACTIVE" })
+      );
+    }
+    if (LocalSecondaryIndexes.length > 0) {
+      table.description.LocalSecondaryIndexes = LocalSecondaryIndexes;
+    }
+    this.tables.set(TableName, table);
+    return { TableDescription: this._description(table) };
+  }
+
+  _deleteTable({ TableName }) {
+    const table = this._table(TableName);
+    this.tables.delete(TableName);
+    return {
+      TableDescription: {
+        ...this._description(table),
+        TableStatus: "DELETING",
+      },
+    };
+  }
+
+  _describeTable({ TableName }) {
+    return { Table: this._description(this._table(TableName)) };
+  }
+
+  _updateTimeToLive({ TableName, TimeToLiveSpecification }) {
+    const table = this._table(TableName);
+    const { AttributeName, Enabled } = TimeToLiveSpecification;
+    table.ttl = {
+      AttributeName,
+      TimeToLiveStatus: Enabled ? "ENABLED" : "DISABLED",
+    };
+    return { TimeToLiveSpecification };
+  }
+
+  _describeTimeToLive({ TableName }) {
+    return { TimeToLiveDescription: this._table(TableName).ttl };
+  }
+
+  _getItem(params) {
+    const table = this._table(params.TableName);
+    const context = this._context(params);
+    const projection = this._parse(
+      params.ProjectionExpression,
+      context,
+      "projection"
+    );
+    this._checkUnused(context);
+    const item = table.items.get(this._keyId(table, params.Key, true));
+    if (!item) {
+      return {};
+    }
+    return { Item: projection ? project(item, projection) : item };
+  }
+
+  _putItem(params) {
+    if (!["NONE", "ALL_OLD", undefined].includes(params.ReturnValues)) {
+      throw validationError("ReturnValues can only be ALL_OLD or NONE");
+    }
+    const write = this._prepare("put", params);
+    this._commit(write);
+    return this._returnValues(params.ReturnValues, write);
+  }
+
+  _deleteItem(params) {
+    if (!["NONE", "ALL_OLD", undefined].includes(params.ReturnValues)) {
+      throw validationError("ReturnValues can only be ALL_OLD or NONE");
+    }
+    const write = this._prepare("delete", params);
+    this._commit(write);
+    return this._returnValues(params.ReturnValues, write);
+  }
+
+  _updateItem(params) {
+    const write = this._prepare("update", params);
+    this._commit(write);
+    return this._returnValues(params.ReturnValues, write);
+  }
+
+  _query(params) {
+    const table = this._table(params.TableName);
+    const schema = this._schema(table, params.IndexName);
+    if (!params.KeyConditionExpression) {
+      throw validationError(
+        "Either the KeyConditions or KeyConditionExpression parameter must be specified in the request."
+      );
+    }
+    const context = this._context(params);
+    const keyCondition = this._parse(
+      params.KeyConditionExpression,
+      context,
+      "condition"
+    );
+    const filter = this._parse(params.FilterExpression, context, "condition");
+    const projection = this._parse(
+      params.ProjectionExpression,
+      context,
+      "projection"
+    );
+    this._checkUnused(context);
+
+    const items = this._indexItems(table, schema).filter(keyCondition);
+    return this._page(table, schema, items, params, {
+      filter,
+      projection,
+      forward: params.ScanIndexForward !== false,
+    });
+  }
+
+  _scan(params) {
+    const table = this._table(params.TableName);
+    const schema = this._schema(table, params.IndexName);
+    const { Segment, TotalSegments } = params;
+    if (
+      typeof TotalSegments !== "undefined" &&
+      !(Segment >= 0 && Segment < TotalSegments)
+    ) {
+      throw validationError(
+        "The Segment parameter must be between 0 and TotalSegments - 1"
+      );
+    }
+    const context = this._context(params);
+    const filter = this._parse(params.FilterExpression, context, "condition");
+    const projection = this._parse(
+      params.ProjectionExpression,
+      context,
+      "projection"
+    );
+    this._checkUnused(context);
+
+    let items = this._indexItems(table, schema);
+    if (TotalSegments) {
+      items = items.filter(
+        (item) => this._segment(item[schema.hash], TotalSegments) === Segment
+      );
+    }
+    return this._page(table, schema, items, params, {
+      filter,
+      projection,
+      forward: true,
+    });
+  }
+
+  _batchGetItem({ RequestItems }) {
+    const tables = Object.keys(RequestItems);
+    const total = tables.reduce(
+      (sum, name) => sum + RequestItems[name].Keys.length,
+      0
+    );
+    if (total > 100) {
+      throw validationError(
+        "Too many items requested for the BatchGetItem call"
+      );
+    }
+    const Responses = {};
+    tables.forEach((name) => {
+      const table = this._table(name);
+      const request = RequestItems[name];
+      const context = this._context(request);
+      const projection = this._parse(
+        request.ProjectionExpression,
+        context,
+        "projection"
+      );
+      this._checkUnused(context);
+      const ids = request.Keys.map((key) => this._keyId(table, key, true));
+      if (new Set(ids).size !== ids.length) {
+        throw validationError("Provided list of item keys contains duplicates");
+      }
+      Responses[name] = ids
+        .map((id) => table.items.get(id))
+        .filter(Boolean)
+        .map((item) => (projection ? project(item, projection) : item));
+    });
+    return { Responses, UnprocessedKeys: {} };
+  }
+
+  _batchWriteItem({ RequestItems }) {
+    const writes = [];
+    Object.keys(RequestItems).forEach((name) => {
+      RequestItems[name].forEach(({ PutRequest, DeleteRequest }) => {
+        writes.push(
+          PutRequest
+            ? this._prepare("put", { TableName: name, Item: PutRequest.Item })
+            : this._prepare("delete", {
+                TableName: name,
+                Key: DeleteRequest.Key,
+              })
+        );
+      });
+    });
+    if (writes.length > 25) {
+      throw validationError(
+        "Too many items requested for the BatchWriteItem call"
+      );
+    }
+    this._checkDistinct(
+      writes,
+      "Provided list of item keys contains duplicates"
+    );
+    writes.forEach((write) => this._commit(write));
+    return { UnprocessedItems: {} };
+  }
+
+  _transactGetItems({ TransactItems }) {
+    return {
+      Responses: TransactItems.map(({ Get }) => this._getItem(Get)),
+    };
+  }
+
+  _transactWriteItems({ TransactItems }) {
+    if (TransactItems.length > 100) {
+      throw validationError(
+        "Member must have length less than or equal to 100"
+      );
+    }
+    const types = {
+      Put: "put",
+      Update: "update",
+      Delete: "delete",
+      ConditionCheck: "conditionCheck",
+    };
+    const writes = [];
+    const reasons = TransactItems.map((operation) => {
+      const [type] = Object.keys(operation);
+      try {
+        writes.push(this._prepare(types[type], operation[type]));
+        return { Code: "None" };
+      } catch (e) {
+        if (e.name !== "ConditionalCheckFailedException") {
+          throw e;
+        }
+        writes.push(undefined);
+        return e.Item
+          ? { Code: "ConditionalCheckFailed", Message: e.message, Item: e.Item }
+          : { Code: "ConditionalCheckFailed", Message: e.message };
+      }
+    });
+    this._checkDistinct(
+      writes.filter(Boolean),
+      "Transaction request cannot include multiple operations on one item"
+    );
+    if (reasons.some(({ Code }) => Code !== "None")) {
+      throw new TransactionCanceledException({
+        message: `Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons
+          .map(({ Code }) => Code)
+          .join(", ")}]`,
+        $metadata: {},
+        CancellationReasons: reasons,
+      });
+    }
+    writes.forEach((write) => this._commit(write));
+    return {};
+  }
+
+  _table(name) {
+    const table = this.tables.get(name);
+    if (!table) {
+      throw new ResourceNotFoundException({
+        message: "Requested resource not found",
+        $metadata: {},
+      });
+    }
+    return table;
+  }
+
+  _description(table) {
+    return { ...table.description, ItemCount: table.items.size };
+  }
+
+  _schema(table, indexName) {
+    if (!indexName) {
+      return table.keys;
+    }
+    const index = table.indexes[indexName];
+    if (!index) {
+      throw validationError(
+        `The table does not have the specified index: ${indexName}`
+      );
+    }
+    return index;
+  }
+
+  _context(params) {
+    return {
+      names: params.ExpressionAttributeNames || {},
+      values: params.ExpressionAttributeValues || {},
+      usedNames: new Set(),
+      usedValues: new Set(),
+    };
+  }
+
+  _parse(expression, context, kind) {
+    if (expression) {
+      return new Parser(expression, context)[kind]();
+    }
+  }
+
+  _checkUnused({ names, values, usedNames, usedValues }) {
+    const unusedNames = Object.keys(names).filter((n) => !usedNames.has(n));
+    if (unusedNames.length > 0) {
+      throw validationError(
+        `Value provided in ExpressionAttributeNames unused in expressions: keys: {${unusedNames.join(
+          ", "
+        )}}`
+      );
+    }
+    const unusedValues = Object.keys(values).filter((v) => !usedValues.has(v));
+    if (unusedValues.length > 0) {
+      throw validationError(
+        `Value provided in ExpressionAttributeValues unused in expressions: keys: {${unusedValues.join(
+          ", "
+        )}}`
+      );
+    }
+  }
+
+  _keyNames(table, schema = table.keys) {
+    return [
+      schema.hash,
+      schema.range,
+      table.keys.hash,
+      table.keys.range,
+    ].filter((name, i, names) => name && names.indexOf(name) === i);
+  }
+
+  _keyId(table, item, exact = false) {
+    const names = this._keyNames(table);
+    if (exact && Object.keys(item).length !== names.length) {
+      throw validationError(
+        "The provided key element does not match the schema"
+      );
+    }
+    return JSON.stringify(
+      names.map((name) => {
+        const value = item[name];
+        if (!value || typeOf(value) !== table.types[name]) {
+          throw validationError(
+            exact
+              ? "The provided key element does not match the schema"
+              : `One or more parameter values were invalid: Missing the key ${name} in the item`
+          );
+        }
+        return canonical(value);
+      })
+    );
+  }
+
+  _checkItem(table, item) {
+    Object.values(table.indexes).forEach((index) => {
+      const names = [index.hash, index.range].filter(Boolean);
+      if (!names.every((name) => item[name])) {
+        return;
+      }
+      names.forEach((name) => {
+        if (typeOf(item[name]) !== table.types[name]) {
+          throw validationError(
+            `One or more parameter values were invalid: Type mismatch for Index Key ${name}`
+          );
+        }
+      });
+    });
+    if (itemSize(item) > MAX_ITEM_SIZE) {
+      throw validationError("Item size has exceeded the maximum allowed size");
+    }
+  }
+
+  _prepare(type, params) {
+    const table = this._table(params.TableName);
+    const id =
+      type === "put"
+        ? this._keyId(table, params.Item)
+        : this._keyId(table, params.Key, true);
+    const old = table.items.get(id);
+    const context = this._context(params);
+    const check = this._parse(params.ConditionExpression, context, "condition");
+    const actions = this._parse(params.UpdateExpression, context, "update");
+    if (type === "update" && !actions) {
+      throw validationError("UpdateExpression is required");
+    }
+    if (type === "conditionCheck" && !check) {
+      throw validationError("ConditionExpression is required");
+    }
+    this._checkUnused(context);
+
+    if (check && !check(old || {})) {
+      const error = new ConditionalCheckFailedException({
+        message: "The conditional request failed",
+        $metadata: {},
+      });
+      if (params.ReturnValuesOnConditionCheckFailure === "ALL_OLD" && old) {
+        error.Item = old;
+      }
+      throw error;
+    }
+
+    let item;
+    switch (type) {
+      case "put":
+        item = params.Item;
+        break;
+      case "update":
+        item = applyUpdate(old || params.Key, actions);
+        this._keyNames(table).forEach((name) => {
+          if (!equal(item[name], params.Key[name])) {
+            throw validationError(
+              `One or more parameter values were invalid: Cannot update attribute ${name}. This attribute is part of the key`
+            );
+          }
+        });
+        break;
+      case "conditionCheck":
+        item = old;
+        break;
+    }
+    if (item) {
+      this._checkItem(table, item);
+    }
+    return { type, table, id, old, item, actions };
+  }
+
+  _commit({ type, table, id, item }) {
+    if (type === "conditionCheck") {
+      return;
+    }
+    if (item) {
+      table.items.set(id, item);
+    } else {
+      table.items.delete(id);
+    }
+  }
+
+  _checkDistinct(writes, message) {
+    const targets = writes.map(({ table, id }) => `${table.name}:${id}`);
+    if (new Set(targets).size !== targets.length) {
+      throw validationError(message);
+    }
+  }
+
+  _returnValues(returnValues = "NONE", { old, item, actions }) {
+    const updated = (source) => {
+      const names = new Set(actions.map(({ path }) => path[0]));
+      const attributes = {};
+      names.forEach((name) => {
+        if (source && source[name]) {
+          attributes[name] = source[name];
+        }
+      });
+      return attributes;
+    };
+    let Attributes;
+    switch (returnValues) {
+      case "NONE":
+        return {};
+      case "ALL_OLD":
+        Attributes = old;
+        break;
+      case "ALL_NEW":
+        Attributes = item;
+        break;
+      case "UPDATED_OLD":
+        Attributes = updated(old);
+        break;
+      case "UPDATED_NEW":
+        Attributes = updated(item);
+        break;
+      default:
+        throw validationError(`Unsupported ReturnValues: ${returnValues}`);
+    }
+    return Attributes && Object.keys(Attributes).length > 0
+      ? { Attributes }
+      : {};
+  }
+
+  _indexItems(table, schema) {
+    const names = this._keyNames(table, schema);
+    return Array.from(table.items.values())
+      .filter(
+        (item) => item[schema.hash] && (!schema.range || item[schema.range])
+      )
+      .sort((a, b) => this._compareKeys(a, b, names));
+  }
+
+  _compareKeys(a, b, names) {
+    for (const name of names) {
+      const result = compare(a[name], b[name]);
+      if (result) {
+        return result;
+      }
+    }
+    return 0;
+  }
+
+  _segment(value, totalSegments) {
+    const id = JSON.stringify(canonical(value));
+    let hash = 0;
+    for (let i = 0; i < id.length; i++) {
+      hash = (hash * 31 + id.charCodeAt(i)) >>> 0;
+    }
+    return hash % totalSegments;
+  }
+
+  _page(table, schema, items, params, { filter, projection, forward }) {
+    const { Limit, ExclusiveStartKey, Select } = params;
+    if (typeof Limit !== "undefined" && !(Limit >= 1)) {
+      throw validationError("Limit must be greater than or equal to 1");
+    }
+    const names = this._keyNames(table, schema);
+    let ordered = forward ? items : items.slice().reverse();
+    if (ExclusiveStartKey) {
+      const start = ordered.findIndex((item) => {
+        const order = this._compareKeys(item, ExclusiveStartKey, names);
+        return forward ? order > 0 : order < 0;
+      });
+      ordered = start === -1 ? [] : ordered.slice(start);
+    }
+
+    const evaluated = [];
+    let size = 0;
+    for (const item of ordered) {
+      if (evaluated.length === Limit || size >= MAX_PAGE_SIZE) {
+        break;
+      }
+      evaluated.push(item);
+      size += itemSize(item);
+    }
+    const matched = filter ? evaluated.filter(filter) : evaluated;
+
+    const response = { Count: matched.length, ScannedCount: evaluated.length };
+    if (Select !== "COUNT") {
+      response.Items = matched.map((item) => {
+        const visible = this._indexProjection(table, schema, item);
+        return projection ? project(visible, projection) : visible;
+      });
+    }
+    if (evaluated.length < ordered.length || evaluated.length === Limit) {
+      const last = evaluated[evaluated.length - 1];
+      response.LastEvaluatedKey = {};
+      names.forEach((name) => {
+        response.LastEvaluatedKey[name] = last[name];
+      });
+    }
+    return response;
+  }
+
+  _indexProjection(table, schema, item) {
+    const { projection } = schema;
+    if (!projection || projection.ProjectionType === "ALL") {
+      return item;
+    }
+    const names = this._keyNames(table, schema).concat(
+      projection.NonKeyAttributes || []
+    );
+    const visible = {};
+    names.forEach((name) => {
+      if (item[name]) {
+        visible[name] = item[name];
+      }
+    });
+    return visible;
+  }
+}
+
+module.exports = MemoryClient;
@@ -0,0 +1,47 @@
+class TokenBucket {
+  constructor({ rate, burst = rate } = {}) {
+    if (!(rate > 0)) {
+      throw new Error("TokenBucket rate must be greater than zero");
+    }
+    if (!(burst > 0)) {
+      throw new Error("TokenBucket burst must be greater than zero");
+    }
+    this.rate = rate;
+    this.burst = burst;
+    this.tokens = burst;
+    this.updated = Date.now();
+    this._queue = Promise.resolve();
+  }
+
+  take(units = 1) {
+    const turn = this._queue.then(() => this._take(units));
+    this._queue = turn.catch(() => {});
+    return turn;
+  }
+
+  charge(units) {
+    this._refill();
+    this.tokens = Math.min(this.burst, this.tokens - units);
+  }
+
+  async _take(units) {
+    this._refill();
+    while (this.tokens < units) {
+      const wait = ((units - this.tokens) / this.rate) * 1000;
+      await new Promise((resolve) => setTimeout(resolve, wait));
+      this._refill(Math.max(this.burst, units));
+    }
+    this.tokens -= units;
+  }
+
+  _refill(capacity = this.burst) {
+    const now = Date.now();
+    this.tokens = Math.min(
+      capacity,
+      this.tokens + ((now - this.updated) / 1000) * this.rate
+    );
+    this.updated = now;
+  }
+}
+
+module.exports = TokenBucket;
@@ -0,0 +1,155 @@
+const { REMOVE, isPOJO, isNumber } = require("./Item");
+const { escapePath } = require("./Expression");
+const { ValidationError } = require("./Errors");
+
+const TYPES = {
+  string: (value) => typeof value === "string",
+  number: (value, options) =>
+    isNumber(value, options) && !(typeof value === "number" && isNaN(value)),
+  boolean: (value) => typeof value === "boolean",
+  binary: (value) => Buffer.isBuffer(value),
+  date: (value) => value instanceof Date && !isNaN(value.getTime()),
+  list: (value) => Array.isArray(value),
+  set: (value) => value instanceof Set,
+  map: (value) => value instanceof Map || isPOJO(value),
+};
+
+class Validator {
+  constructor(table, { attributes = {}, timestamps = false } = {}, options) {
+    Object.keys(attributes).forEach((field) => {
+      const { type } = attributes[field];
+      if (type && !TYPES[type]) {
+        throw new Error(`Unknown validation type for ${field}: ${type}`);
+      }
+    });
+    this.table = table;
+    this.attributes = attributes;
+    this.options = options;
+    const names = timestamps === true ? {} : timestamps || {};
+    this.createdAt = timestamps && (names.createdAt ?? "createdAt");
+    this.updatedAt = timestamps && (names.updatedAt ?? "updatedAt");
+  }
+
+  item(item, now = new Date()) {
+    const prepared = this._withDefaults(item, now);
+    this._throwIfInvalid(this._checkItem(prepared));
+    return prepared;
+  }
+
+  items(items, now = new Date()) {
+    const errors = [];
+    const prepared = items.map((item, index) => {
+      const withDefaults = this._withDefaults(item, now);
+      this._checkItem(withDefaults).forEach((error) =>
+        errors.push({ ...error, index })
+      );
+      return withDefaults;
+    });
+    this._throwIfInvalid(errors);
+    return prepared;
+  }
+
+  update({ set = {}, setIfNotExists = {}, removeUndefined }, now = new Date()) {
+    const values = {};
+    const fields = [];
+    [set, setIfNotExists].forEach((paths) => {
+      Object.keys(this.attributes).forEach((field) => {
+        const path = escapePath(field);
+        if (!(path in paths)) {
+          return;
+        }
+        const value = paths[path];
+        if (typeof value === "undefined" && !removeUndefined) {
+          return;
+        }
+        values[field] = value;
+        fields.push(field);
+      });
+    });
+    this._throwIfInvalid(this._check(values, fields));
+
+    const timestamps = { set: {}, setIfNotExists: {} };
+    if (this.updatedAt && !(escapePath(this.updatedAt) in set)) {
+      timestamps.set[escapePath(this.updatedAt)] = now;
+    }
+    if (this.createdAt && !(escapePath(this.createdAt) in set)) {
+      timestamps.setIfNotExists[escapePath(this.createdAt)] = now;
+    }
+    return {
+      set: { ...set, ...timestamps.set },
+      setIfNotExists: { ...timestamps.setIfNotExists, ...setIfNotExists },
+    };
+  }
+
+  // Puts replace the whole item, so a put without createdAt stamps a new
+  // creation time even when it overwrites an existing item. Only updates
+  // keep the stored createdAt.
+  _withDefaults(item, now) {
+    const prepared = { ...item };
+    Object.keys(this.attributes).forEach((field) => {
+      const definition = this.attributes[field];
+      if ("default" in definition && typeof prepared[field] === "undefined") {
+        const { default: fallback } = definition;
+        prepared[field] =
+          typeof fallback === "function" ? fallback(prepared) : fallback;
+      }
+    });
+    if (this.createdAt && typeof prepared[this.createdAt] === "undefined") {
+      prepared[this.createdAt] = now;
+    }
+    if (this.updatedAt) {
+      prepared[this.updatedAt] = now;
+    }
+    return prepared;
+  }
+
+  _checkItem(item) {
+    return this._check(item, Object.keys(this.attributes));
+  }
+
+  _check(values, fields) {
+    const errors = [];
+    fields.forEach((field) => {
+      const message = this._checkValue(field, values[field], values);
+      if (message) {
+        errors.push({ field, message: `${field} ${message}` });
+      }
+    });
+    return errors;
+  }
+
+  _checkValue(field, value, values) {
+    const { type, required, enum: allowed, validate } = this.attributes[field];
+    if (typeof value === "undefined" || value === null || value === REMOVE) {
+      return required ? "is required" : undefined;
+    }
+    if (type && !TYPES[type](value, this.options)) {
+      return `must be of type ${type}`;
+    }
+    if (allowed && !allowed.includes(value)) {
+      return `must be one of ${allowed.join(", ")}`;
+    }
+    if (validate) {
+      const result = validate(value, values);
+      if (result === false) {
+        return "is invalid";
+      }
+      if (typeof result === "string") {
+        return result;
+      }
+    }
+  }
+
+  _throwIfInvalid(errors) {
+    if (errors.length > 0) {
+      throw new ValidationError(
+        `Invalid ${this.table} item: ${errors
+          .map(({ message }) => message)
+          .join(", ")}`,
+        { table: this.table, errors }
+      );
+    }
+  }
+}
+
+module.exports = Validator;
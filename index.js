@@ -1,4 +1,21 @@
 const Cache = require("./Cache");
 const Item = require("./Item");
+const Expression = require("./Expression");
+const LRU = require("./LRU");
+const MemoryClient = require("./MemoryClient");
+const Entity = require("./Entity");
+const Validator = require("./Validator");
+const TokenBucket = require("./TokenBucket");
+const Errors = require("./Errors");
 
-module.exports = { Cache, Item };
+module.exports = {
+  Cache,
+  Item,
+  Expression,
+  LRU,
+  MemoryClient,
+  Entity,
+  Validator,
+  TokenBucket,
+  ...Errors,
+};
@@ -0,0 +1,349 @@
+const Cache = require("../Cache");
+const { UnprocessedItemsError } = require("../Errors");
+const { fromObject } = require("../Item");
+const { stubClient } = require("./stub");
+const { expect } = require("chai");
+
+const table = "tests";
+const primaryKey = "primary_key";
+
+describe("Cache batch operations", () => {
+  let cache;
+  beforeEach(() => {
+    cache = new Cache({}, { maxRetries: 2, retryDelay: 1, maxRetryDelay: 2 });
+  });
+
+  describe("putMany", () => {
+    it("resubmits unprocessed items until they succeed", async () => {
+      const items = [1, 2, 3].map((i) => ({ [primaryKey]: `key${i}` }));
+      const sent = stubClient(cache, (cmd, i) => {
+        if (i === 0) {
+          return {
+            UnprocessedItems: {
+              [table]: cmd.input.RequestItems[table].slice(1),
+            },
+          };
+        }
+        return { UnprocessedItems: {} };
+      });
+
+      await cache.putMany({ table, items });
+
+      expect(sent.length).to.equal(2);
+      expect(sent[1].input.RequestItems[table]).to.deep.equal(
+        items
+          .slice(1)
+          .map((item) => ({ PutRequest: { Item: fromObject(item) } }))
+      );
+    });
+
+    it("throws an UnprocessedItemsError listing keys that never succeed", async () => {
+      const items = [1, 2].map((i) => ({
+        [primaryKey]: `key${i}`,
+        something: "other",
+      }));
+      const sent = stubClient(
+        cache,
+        (cmd) => ({
+          UnprocessedItems: {
+            [table]: cmd.input.RequestItems[table].slice(-1),
+          },
+        }),
+        { keys: [primaryKey] }
+      );
+
+      try {
+        await cache.putMany({ table, items });
+        expect.fail();
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(UnprocessedItemsError);
+        expect(e.keys).to.deep.equal({ [table]: [{ [primaryKey]: "key2" }] });
+      }
+      expect(sent.length).to.equal(3);
+    });
+  });
+
+  describe("deleteMany", () => {
+    it("throws an UnprocessedItemsError listing keys that never succeed", async () => {
+      stubClient(cache, (cmd) => ({
+        UnprocessedItems: cmd.input.RequestItems,
+      }));
+
+      try {
+        await cache.deleteMany({
+          table,
+          items: [{ [primaryKey]: "key1" }],
+          maxRetries: 0,
+        });
+        expect.fail();
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(UnprocessedItemsError);
+        expect(e.keys).to.deep.equal({ [table]: [{ [primaryKey]: "key1" }] });
+      }
+    });
+
+    it("lists the keys of every chunk that failed", async () => {
+      stubClient(cache, (cmd) => ({
+        UnprocessedItems: cmd.input.RequestItems,
+      }));
+      const items = [];
+      for (let i = 0; i < 50; i++) {
+        items.push({ [primaryKey]: `key${i}` });
+      }
+
+      try {
+        await cache.deleteMany({ table, items, maxRetries: 0 });
+        expect.fail();
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(UnprocessedItemsError);
+        expect(e.keys[table]).to.deep.equal(items);
+        expect(e.unprocessed[table].length).to.equal(50);
+      }
+    });
+  });
+
+  describe("concurrency and progress", () => {
+    const items = [];
+    for (let i = 0; i < 100; i++) {
+      items.push({ [primaryKey]: `key${i}` });
+    }
+
+    it("limits the number of batches in flight", async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      stubClient(cache, async () => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise((resolve) => setTimeout(resolve, 2));
+        inFlight--;
+        return {};
+      });
+
+      const responses = await cache.putMany({ table, items, concurrency: 2 });
+
+      expect(responses.length).to.equal(4);
+      expect(maxInFlight).to.equal(2);
+    });
+
+    it("rejects a concurrency below 1", async () => {
+      const sent = stubClient(cache, () => ({}));
+      for (const concurrency of [0, -1, NaN]) {
+        try {
+          await cache.putMany({ table, items, concurrency });
+          expect.fail();
+        } catch (e) {
+          expect(e.message).to.match(/concurrency must be at least 1/);
+        }
+        expect(() => new Cache({}, { concurrency })).to.throw(
+          /concurrency must be at least 1/
+        );
+      }
+      expect(sent.length).to.equal(0);
+    });
+
+    it("reports progress after every batch", async () => {
+      stubClient(cache, () => ({}));
+      const progress = [];
+
+      await cache.deleteMany({
+        table,
+        items: items.slice(0, 60),
+        concurrency: 1,
+        onProgress: (update) => progress.push(update),
+      });
+
+      expect(progress).to.deep.equal([
+        { done: 25, total: 60, failed: 0 },
+        { done: 50, total: 60, failed: 0 },
+        { done: 60, total: 60, failed: 0 },
+      ]);
+    });
+
+    it("counts unprocessed items as failed", async () => {
+      const sent = stubClient(
+        cache,
+        (cmd) => ({
+          UnprocessedItems: {
+            [table]: cmd.input.RequestItems[table].slice(-5),
+          },
+        }),
+        { keys: [primaryKey] }
+      );
+      const progress = [];
+
+      try {
+        await cache.putMany({
+          table,
+          items,
+          concurrency: 1,
+          maxRetries: 0,
+          onProgress: (update) => progress.push(update),
+        });
+        expect.fail();
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(UnprocessedItemsError);
+      }
+      expect(progress).to.deep.equal([
+        { done: 20, total: 100, failed: 5 },
+        { done: 40, total: 100, failed: 10 },
+        { done: 60, total: 100, failed: 15 },
+        { done: 80, total: 100, failed: 20 },
+      ]);
+      expect(sent.length).to.equal(4);
+    });
+
+    it("keeps sending the remaining batches after one fails", async () => {
+      const sent = stubClient(
+        cache,
+        (cmd, i) => ({
+          UnprocessedItems: i === 0 ? cmd.input.RequestItems : {},
+        }),
+        { keys: [primaryKey] }
+      );
+      const progress = [];
+
+      try {
+        await cache.putMany({
+          table,
+          items,
+          concurrency: 1,
+          maxRetries: 0,
+          onProgress: (update) => progress.push(update),
+        });
+        expect.fail();
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(UnprocessedItemsError);
+        expect(e.keys[table]).to.deep.equal(items.slice(0, 25));
+      }
+      expect(sent.length).to.equal(4);
+      expect(progress.pop()).to.deep.equal({
+        done: 75,
+        total: 100,
+        failed: 25,
+      });
+    });
+  });
+
+  describe("getMany", () => {
+    it("retries unprocessed keys and merges the responses", async () => {
+      const sent = stubClient(cache, (cmd, i) => {
+        const [first, ...rest] = cmd.input.RequestItems[table].Keys;
+        return {
+          Responses: { [table]: [first] },
+          UnprocessedKeys: rest.length ? { [table]: { Keys: rest } } : {},
+        };
+      });
+
+      const items = await cache.getMany({
+        table,
+        matches: [1, 2, 3].map((i) => ({ [primaryKey]: `key${i}` })),
+      });
+
+      expect(sent.length).to.equal(3);
+      expect(items).to.deep.equal(
+        [1, 2, 3].map((i) => ({ [primaryKey]: `key${i}` }))
+      );
+    });
+
+    it("throws an UnprocessedItemsError listing keys that never succeed", async () => {
+      stubClient(cache, (cmd) => ({
+        Responses: {},
+        UnprocessedKeys: cmd.input.RequestItems,
+      }));
+
+      try {
+        await cache.getMany({ table, matches: [{ [primaryKey]: "key1" }] });
+        expect.fail();
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(UnprocessedItemsError);
+        expect(e.keys).to.deep.equal({ [table]: [{ [primaryKey]: "key1" }] });
+      }
+    });
+
+    it("lists the keys of every request that failed", async () => {
+      stubClient(cache, (cmd) => ({
+        Responses: {},
+        UnprocessedKeys: cmd.input.RequestItems,
+      }));
+      const matches = [];
+      for (let i = 0; i < 150; i++) {
+        matches.push({ [primaryKey]: `key${i}` });
+      }
+
+      try {
+        await cache.getMany({ table, matches, maxRetries: 0 });
+        expect.fail();
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(UnprocessedItemsError);
+        expect(e.keys[table].length).to.equal(150);
+        expect(e.unprocessed[table].Keys.length).to.equal(150);
+      }
+    });
+
+    it("splits more than 100 keys into multiple requests", async () => {
+      const sent = stubClient(cache, (cmd) => ({
+        Responses: { [table]: cmd.input.RequestItems[table].Keys },
+      }));
+
+      const matches = [];
+      for (let i = 0; i < 250; i++) {
+        matches.push({ [primaryKey]: `key${i}` });
+      }
+      const items = await cache.getMany({ table, matches, concurrency: 2 });
+
+      expect(
+        sent.map((cmd) => cmd.input.RequestItems[table].Keys.length)
+      ).to.deep.equal([100, 100, 50]);
+      expect(items.length).to.equal(250);
+    });
+
+    it("returns items in request order with undefined for misses", async () => {
+      stubClient(cache, (cmd) => ({
+        Responses: {
+          [table]: cmd.input.RequestItems[table].Keys.filter(
+            (key) => key[primaryKey].S !== "key2"
+          )
+            .reverse()
+            .map((key) => ({ ...key, something: { S: "other" } })),
+        },
+      }));
+
+      const items = await cache.getMany({
+        table,
+        matches: [3, 2, 1, 3].map((i) => ({ [primaryKey]: `key${i}` })),
+        ordered: true,
+      });
+
+      expect(items).to.deep.equal([
+        { [primaryKey]: "key3", something: "other" },
+        undefined,
+        { [primaryKey]: "key1", something: "other" },
+        { [primaryKey]: "key3", something: "other" },
+      ]);
+    });
+
+    it("reads from multiple tables with a map of matches", async () => {
+      const sent = stubClient(cache, (cmd) => {
+        const [tableName] = Object.keys(cmd.input.RequestItems);
+        return {
+          Responses: {
+            [tableName]: cmd.input.RequestItems[tableName].Keys,
+          },
+        };
+      });
+
+      const items = await cache.getMany({
+        matches: {
+          [table]: [{ [primaryKey]: "key1" }],
+          other: [{ id: "a" }, { id: "b" }],
+        },
+      });
+
+      expect(sent.length).to.equal(2);
+      expect(items).to.deep.equal({
+        [table]: [{ [primaryKey]: "key1" }],
+        other: [{ id: "a" }, { id: "b" }],
+      });
+    });
+  });
+});
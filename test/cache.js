@@ -1,13 +1,13 @@
 const Cache = require("../Cache");
-const { fromObject, toObject } = require("../Item");
+const MemoryClient = require("../MemoryClient");
+const { fromObject, toObject, REMOVE } = require("../Item");
 const { expect } = require("chai");
-const {
-  CreateTableCommand,
-  DeleteTableCommand,
-  GetItemCommand,
-} = require("@aws-sdk/client-dynamodb");
+const { GetItemCommand } = require("@aws-sdk/client-dynamodb");
 
-const cache = new Cache({ endpoint: process.env.DYNAMO_ENDPOINT });
+const client = process.env.DYNAMO_ENDPOINT
+  ? { endpoint: process.env.DYNAMO_ENDPOINT }
+  : new MemoryClient();
+const cache = new Cache(client);
 
 const printful = require("./fixtures/printful-categories.json");
 
@@ -18,62 +18,32 @@ const sortKey = "sort_key";
 
 describe("Cache", () => {
   before(async () => {
-    const cmd = new CreateTableCommand({
-      TableName: table,
-      KeySchema: [
-        {
-          AttributeName: primaryKey,
-          KeyType: "HASH",
-        },
+    await cache.createTable({
+      table,
+      keys: { hash: primaryKey },
+      attributeTypes: { [sortKey]: "N" },
+      globalIndexes: [
+        { name: secondaryKey, hash: secondaryKey, range: sortKey },
       ],
-      AttributeDefinitions: [
-        {
-          AttributeName: primaryKey,
-          AttributeType: "S",
-        },
-        {
-          AttributeName: secondaryKey,
-          AttributeType: "S",
-        },
-        {
-          AttributeName: sortKey,
-          AttributeType: "N",
-        },
-      ],
-      GlobalSecondaryIndexes: [
-        {
-          IndexName: secondaryKey,
-          KeySchema: [
-            {
-              AttributeName: secondaryKey,
-              KeyType: "HASH",
-            },
-            {
-              AttributeName: sortKey,
-              KeyType: "RANGE",
-            },
-          ],
-          Projection: {
-            ProjectionType: "ALL",
-          },
-        },
-      ],
-      BillingMode: "PAY_PER_REQUEST",
     });
-    await cache.client.send(cmd);
   });
 
   after(async () => {
-    const cmd = new DeleteTableCommand({
-      TableName: table,
-    });
-    await cache.client.send(cmd);
+    await cache.deleteTable({ table });
   });
 
   beforeEach(async () => {
     await cache.deleteAll({ table });
   });
 
+  describe("ttl", () => {
+    it("enables and describes ttl on a table", async () => {
+      await cache.enableTtl({ table, attribute: "expires_at" });
+      const ttl = await cache.describeTtl({ table });
+      expect(ttl).to.deep.equal({ status: "ENABLED", attribute: "expires_at" });
+    });
+  });
+
   describe("putOne", () => {
     it("sets one item in dynamodb", async () => {
       await cache.putOne({
@@ -146,6 +116,111 @@ describe("Cache", () => {
     });
   });
 
+  describe("type handling", () => {
+    it("round trips numeric-looking strings", async () => {
+      await cache.putOne({
+        table,
+        item: { [primaryKey]: "00123", zip: "02134", phone: "5551234" },
+      });
+
+      const item = await cache.getOne({
+        table,
+        match: { [primaryKey]: "00123" },
+      });
+      expect(item).to.deep.equal({
+        [primaryKey]: "00123",
+        zip: "02134",
+        phone: "5551234",
+      });
+    });
+
+    it("applies per-table type hints", async () => {
+      const typedCache = new Cache(client, {
+        schemas: { [table]: { zip: "S", count: "N" } },
+      });
+      await typedCache.putOne({
+        table,
+        item: { [primaryKey]: "value", zip: 2134, count: "3" },
+      });
+
+      const resp = await typedCache.updateOne({
+        table,
+        match: { [primaryKey]: "value" },
+        update: { count: "4" },
+        condition: { zip: { "=": 2134 } },
+        returnValues: "ALL_NEW",
+      });
+      expect(resp).to.deep.equal({
+        [primaryKey]: "value",
+        zip: "2134",
+        count: 4,
+      });
+    });
+
+    it("round trips dates and maps through type hints", async () => {
+      const typedCache = new Cache(client, {
+        schemas: { [table]: { created: "epochDate", lookup: "map" } },
+      });
+      const created = new Date(1664625600000);
+      const lookup = new Map([["a", 1]]);
+      await typedCache.putOne({
+        table,
+        item: { [primaryKey]: "value", created, lookup },
+      });
+
+      const item = await typedCache.getOne({
+        table,
+        match: { [primaryKey]: "value" },
+      });
+      expect(item).to.deep.equal({ [primaryKey]: "value", created, lookup });
+    });
+
+    it("keeps registered codecs on the cache that registered them", async () => {
+      class Tag {
+        constructor(name) {
+          this.name = name;
+        }
+      }
+      const tagCache = new Cache(client, {
+        schemas: { [table]: { tag: "tag" } },
+      });
+      tagCache.registerCodec({
+        name: "tag",
+        type: Tag,
+        serialize: (tag) => `#${tag.name}`,
+        deserialize: (value) => new Tag(value.slice(1)),
+      });
+      const otherCache = new Cache(client);
+      await tagCache.putOne({
+        table,
+        item: { [primaryKey]: "tagged", tag: new Tag("blue") },
+      });
+      await otherCache.putOne({
+        table,
+        item: { [primaryKey]: "untagged", tag: new Tag("blue") },
+      });
+
+      const raw = async (id) =>
+        (
+          await cache.client.send(
+            new GetItemCommand({
+              TableName: table,
+              Key: { [primaryKey]: { S: id } },
+            })
+          )
+        ).Item.tag;
+      expect(await raw("tagged")).to.deep.equal({ S: "#blue" });
+      expect(await raw("untagged")).to.deep.equal({
+        M: { name: { S: "blue" } },
+      });
+      const item = await tagCache.getOne({
+        table,
+        match: { [primaryKey]: "tagged" },
+      });
+      expect(item.tag).to.be.an.instanceOf(Tag);
+    });
+  });
+
   describe("getOne", () => {
     it("retrieves one item from dynamodb", async () => {
       await cache.putOne({
@@ -230,6 +305,51 @@ describe("Cache", () => {
     });
   });
 
+  describe("deleteOne with compound conditions", () => {
+    it("deletes when any branch of an $or condition succeeds", async () => {
+      await cache.putOne({
+        table,
+        item: { [primaryKey]: "value", something: "other", count: 3 },
+      });
+
+      await cache.deleteOne({
+        table,
+        match: { [primaryKey]: "value" },
+        condition: {
+          $or: [
+            { something: { "=": "nope" } },
+            { count: { between: [1, 5] }, missing: { exists: false } },
+          ],
+        },
+      });
+
+      const item = await cache.getOne({
+        table,
+        match: { [primaryKey]: "value" },
+      });
+
+      expect(item).to.be.undefined;
+    });
+
+    it("throws when a $not condition fails", async () => {
+      await cache.putOne({
+        table,
+        item: { [primaryKey]: "value", something: "other" },
+      });
+
+      try {
+        await cache.deleteOne({
+          table,
+          match: { [primaryKey]: "value" },
+          condition: { $not: { something: { beginsWith: "oth" } } },
+        });
+        expect.fail();
+      } catch (e) {
+        expect(e.message).to.match(/conditional request failed/i);
+      }
+    });
+  });
+
   describe("deleteMany", () => {
     it("deletes many items from dynamodb", async () => {
       const items = [];
@@ -274,6 +394,31 @@ describe("Cache", () => {
     });
   });
 
+  describe("scan", () => {
+    it("returns filtered items from a parallel scan", async () => {
+      const items = [];
+      for (let i = 0; i < 100; i++) {
+        items.push({
+          [primaryKey]: `something${i}`,
+          something: `other${i}`,
+          favorite: i % 2 === 0,
+        });
+      }
+
+      await cache.putMany({ table, items });
+
+      const results = await cache.scan({
+        table,
+        filter: { favorite: { "=": true } },
+        attributes: [primaryKey],
+        segments: 4,
+      });
+
+      expect(results.length).to.equal(50);
+      expect(results[0]).to.have.all.keys(primaryKey);
+    });
+  });
+
   describe("putMany", () => {
     it("inserts many items into a dynamo table", async () => {
       const items = [];
@@ -372,6 +517,97 @@ describe("Cache", () => {
     });
   });
 
+  describe("query key conditions", () => {
+    beforeEach(async () => {
+      const items = [];
+      for (let i = 0; i < 10; i++) {
+        items.push({
+          [primaryKey]: `something${i}`,
+          [secondaryKey]: "user1",
+          [sortKey]: i,
+        });
+      }
+      await cache.putMany({ table, items });
+    });
+
+    it("queries the table itself by its partition key", async () => {
+      const queryResults = await cache.query({
+        table,
+        match: { [primaryKey]: "something3" },
+      });
+
+      expect(queryResults).to.deep.equal([
+        { [primaryKey]: "something3", [secondaryKey]: "user1", [sortKey]: 3 },
+      ]);
+    });
+
+    it("supports between on the sort key", async () => {
+      const queryResults = await cache.query({
+        table,
+        match: { [secondaryKey]: "user1" },
+        range: { [sortKey]: { between: [3, 5] } },
+      });
+
+      expect(queryResults.map((result) => result[sortKey])).to.deep.equal([
+        3, 4, 5,
+      ]);
+    });
+
+    it("treats a bare range value as equality", async () => {
+      const queryResults = await cache.query({
+        table,
+        match: { [secondaryKey]: "user1" },
+        range: { [sortKey]: 7 },
+      });
+
+      expect(queryResults.map((result) => result[primaryKey])).to.deep.equal([
+        "something7",
+      ]);
+    });
+
+    it("rejects keys that no table or index is keyed by", async () => {
+      try {
+        await cache.query({ table, match: { something: "a" } });
+        expect.fail();
+      } catch (e) {
+        expect(e.message).to.equal(
+          "Table tests has no table or index keyed by something"
+        );
+      }
+    });
+  });
+
+  describe("queryIterator", () => {
+    it("streams all items with a value in a secondary index", async () => {
+      const users = ["user1", "user2", "user3"];
+      const items = [];
+      for (let i = 0; i < 100; i++) {
+        items.push({
+          [primaryKey]: `something${i}`,
+          [secondaryKey]: users[i % 3],
+          [sortKey]: i,
+        });
+      }
+
+      await cache.putMany({ table, items });
+      const results = [];
+      for await (const item of cache.queryIterator({
+        table,
+        match: { [secondaryKey]: "user1" },
+        limit: 10,
+      })) {
+        results.push(item);
+      }
+
+      expect(results.length).to.equal(34);
+      expect(results.map((result) => result[sortKey])).to.deep.equal(
+        items
+          .filter((item) => item[secondaryKey] === "user1")
+          .map((item) => item[sortKey])
+      );
+    });
+  });
+
   describe("queryPage", () => {
     it("returns a page of items with a value in a secondary index", async () => {
       const users = ["user1", "user2", "user3"];
@@ -481,6 +717,43 @@ describe("Cache", () => {
     });
   });
 
+  describe("update", () => {
+    it("sets, removes, adds and appends in a single call", async () => {
+      await cache.putOne({
+        table,
+        item: {
+          [primaryKey]: "value",
+          something: "other",
+          nickname: "nick",
+          visits: 1,
+          tags: new Set(["a", "b"]),
+        },
+      });
+
+      const resp = await cache.update({
+        table,
+        match: { [primaryKey]: "value" },
+        set: { something: "other2" },
+        setIfNotExists: { created: 5 },
+        remove: ["nickname"],
+        add: { visits: 2 },
+        delete: { tags: new Set(["a"]) },
+        append: { history: ["x"] },
+        condition: { visits: { "=": 1 } },
+        returnValues: "ALL_NEW",
+      });
+
+      expect(resp).to.deep.equal({
+        [primaryKey]: "value",
+        something: "other2",
+        created: 5,
+        visits: 3,
+        tags: new Set(["b"]),
+        history: ["x"],
+      });
+    });
+  });
+
   describe("updateOne", () => {
     it("merges an object into an existing item, and by default returns nothing", async () => {
       await cache.putOne({
@@ -681,6 +954,73 @@ describe("Cache", () => {
         author_favorite: "",
       });
     });
+
+    it("updates nested document paths", async () => {
+      await cache.putOne({
+        table,
+        item: {
+          [primaryKey]: "value",
+          profile: { address: { city: "Boston", zip: "02134" } },
+          tags: ["a", "b", "c"],
+          "dotted.name": 1,
+        },
+      });
+
+      const resp = await cache.updateOne({
+        table,
+        match: { [primaryKey]: "value" },
+        update: {
+          "profile.address.city": "Cambridge",
+          "tags[2]": "z",
+          "dotted\\.name": 2,
+        },
+        condition: { "profile.address.zip": { "=": "02134" } },
+        returnValues: "ALL_NEW",
+      });
+
+      expect(resp).to.deep.equal({
+        [primaryKey]: "value",
+        profile: { address: { city: "Cambridge", zip: "02134" } },
+        tags: ["a", "b", "z"],
+        "dotted.name": 2,
+      });
+    });
+
+    it("removes attributes set to the REMOVE sentinel", async () => {
+      await cache.putOne({
+        table,
+        item: { [primaryKey]: "value", something: "other", nickname: "nick" },
+      });
+
+      const resp = await cache.updateOne({
+        table,
+        match: { [primaryKey]: "value" },
+        update: { something: "other2", nickname: REMOVE },
+        returnValues: "ALL_NEW",
+      });
+
+      expect(resp).to.deep.equal({
+        [primaryKey]: "value",
+        something: "other2",
+      });
+    });
+
+    it("removes attributes with undefined values when removeUndefined is set", async () => {
+      await cache.putOne({
+        table,
+        item: { [primaryKey]: "value", something: "other", nickname: "nick" },
+      });
+
+      const resp = await cache.updateOne({
+        table,
+        match: { [primaryKey]: "value" },
+        update: { something: undefined, nickname: undefined },
+        removeUndefined: true,
+        returnValues: "ALL_NEW",
+      });
+
+      expect(resp).to.deep.equal({ [primaryKey]: "value" });
+    });
   });
 
   describe("increment", () => {
@@ -757,6 +1097,22 @@ describe("Cache", () => {
 
       expect(resp).to.deep.equal({ [sortKey]: 4, num2: 0 });
     });
+
+    it("increments numbers beyond 2^53 without losing precision", async () => {
+      const bigCache = new Cache(client, { numberMode: "bigint" });
+      await bigCache.putOne({
+        table,
+        item: { [primaryKey]: "value", counter: 9007199254740993n },
+      });
+
+      const resp = await bigCache.increment({
+        table,
+        match: { [primaryKey]: "value" },
+        update: { counter: 2n },
+      });
+
+      expect(resp).to.deep.equal({ counter: 9007199254740995n });
+    });
   });
 
   describe("getMany", () => {
@@ -816,6 +1172,32 @@ describe("Cache", () => {
         items.slice(0, 10).sort(sortByPrimaryKey)
       );
     });
+
+    it("retrieves more than 100 items in request order", async () => {
+      const items = [];
+      for (let i = 0; i < 150; i++) {
+        items.push({ [primaryKey]: `something${i}`, [sortKey]: i });
+      }
+
+      await cache.putMany({ table, items });
+
+      const returnedItems = await cache.getMany({
+        table,
+        matches: [
+          ...items
+            .slice()
+            .reverse()
+            .map(({ [primaryKey]: key }) => ({ [primaryKey]: key })),
+          { [primaryKey]: "missing" },
+        ],
+        ordered: true,
+      });
+
+      expect(returnedItems).to.deep.equal([
+        ...items.slice().reverse(),
+        undefined,
+      ]);
+    });
   });
 
   describe("appendToList", () => {
@@ -999,6 +1381,148 @@ describe("Cache", () => {
       });
     });
   });
+
+  describe("transactWrite", () => {
+    it("applies every operation when all conditions pass", async () => {
+      await cache.putOne({
+        table,
+        item: { [primaryKey]: "value", something: "other" },
+      });
+
+      await cache.transactWrite([
+        {
+          update: {
+            table,
+            match: { [primaryKey]: "value" },
+            update: { something: "other2" },
+            condition: { something: { "=": "other" } },
+          },
+        },
+        { put: { table, item: { [primaryKey]: "value2", something: "new" } } },
+      ]);
+
+      const items = await cache.transactGet([
+        { table, match: { [primaryKey]: "value" } },
+        { table, match: { [primaryKey]: "value2" } },
+      ]);
+      expect(items).to.deep.equal([
+        { [primaryKey]: "value", something: "other2" },
+        { [primaryKey]: "value2", something: "new" },
+      ]);
+    });
+
+    it("applies nothing and reports the failed condition", async () => {
+      await cache.putOne({
+        table,
+        item: { [primaryKey]: "value", something: "other" },
+      });
+
+      try {
+        await cache.transactWrite([
+          { put: { table, item: { [primaryKey]: "value2" } } },
+          {
+            conditionCheck: {
+              table,
+              match: { [primaryKey]: "value" },
+              condition: { something: { "=": "other2" } },
+            },
+          },
+        ]);
+        expect.fail();
+      } catch (e) {
+        expect(e.name).to.equal("TransactionCanceledError");
+        expect(e.reasons[0].index).to.equal(1);
+        expect(e.reasons[0].code).to.equal("ConditionalCheckFailed");
+      }
+
+      const item = await cache.getOne({
+        table,
+        match: { [primaryKey]: "value2" },
+      });
+      expect(item).to.be.undefined;
+    });
+  });
+
+  describe("key-value methods", () => {
+    const kvCache = new Cache(client, {
+      keyValue: { table, key: primaryKey, ttlSeconds: 60 },
+    });
+
+    it("stores values with an expiry and treats expired ones as misses", async () => {
+      await kvCache.set("value", { nested: [1, 2] });
+      await kvCache.set("expired", "old", { ttlSeconds: -1 });
+
+      expect(await kvCache.get("value")).to.deep.equal({ nested: [1, 2] });
+      expect(await kvCache.mget(["expired", "value"])).to.deep.equal([
+        undefined,
+        { nested: [1, 2] },
+      ]);
+      expect(await kvCache.getOrSet("expired", async () => "new")).to.equal(
+        "new"
+      );
+
+      await kvCache.del("value");
+      expect(await kvCache.get("value")).to.be.undefined;
+    });
+  });
+
+  describe("optimistic locking", () => {
+    const versionedCache = new Cache(client, {
+      versions: { [table]: "version" },
+    });
+
+    it("rejects writes based on a stale version", async () => {
+      await versionedCache.putOne({
+        table,
+        item: { [primaryKey]: "value", count: 1 },
+      });
+      const stale = await versionedCache.getOne({
+        table,
+        match: { [primaryKey]: "value" },
+        consistentRead: true,
+      });
+      expect(stale.version).to.equal(1);
+
+      await versionedCache.putOne({ table, item: { ...stale, count: 2 } });
+      try {
+        await versionedCache.putOne({ table, item: { ...stale, count: 3 } });
+        expect.fail();
+      } catch (e) {
+        expect(e.name).to.equal("VersionConflictError");
+        expect(e.key).to.deep.equal({ [primaryKey]: "value" });
+      }
+    });
+
+    it("retries read-modify-write cycles", async () => {
+      await versionedCache.putOne({
+        table,
+        item: { [primaryKey]: "value", count: 1 },
+      });
+
+      let calls = 0;
+      const item = await versionedCache.withRetry({
+        table,
+        match: { [primaryKey]: "value" },
+        mutate: async (current) => {
+          if (calls++ === 0) {
+            await versionedCache.increment({
+              table,
+              match: { [primaryKey]: "value" },
+              update: { count: 10 },
+            });
+          }
+          return { ...current, count: current.count + 1 };
+        },
+      });
+
+      expect(calls).to.equal(2);
+      expect(item).to.deep.equal({
+        [primaryKey]: "value",
+        count: 12,
+        version: 3,
+      });
+    });
+  });
 });
 
 const sortByPrimaryKey = (a, b) => {
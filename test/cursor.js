@@ -0,0 +1,141 @@
+const Cache = require("../Cache");
+const MemoryClient = require("../MemoryClient");
+const { InvalidCursorError } = require("../Errors");
+const { stubClient } = require("./stub");
+const { expect } = require("chai");
+
+const table = "events";
+
+describe("Cache signed cursors", () => {
+  let client;
+  let cache;
+  beforeEach(async () => {
+    client = new MemoryClient();
+    cache = new Cache(client, { cursorSecret: "s3cret" });
+    await cache.createTable({
+      table,
+      keys: { hash: "stream", range: "seq" },
+      attributeTypes: { seq: "N" },
+    });
+    const items = [];
+    for (let i = 0; i < 5; i++) {
+      items.push({ stream: "a", seq: i }, { stream: "b", seq: i });
+    }
+    await cache.putMany({ table, items });
+  });
+
+  const query = (params) =>
+    cache.queryPage({ table, match: { stream: "a" }, limit: 2, ...params });
+
+  const rejects = async (promise, pattern) => {
+    try {
+      await promise;
+      expect.fail();
+    } catch (e) {
+      expect(e).to.be.instanceOf(InvalidCursorError);
+      expect(e.table).to.equal(table);
+      expect(e.message).to.match(pattern);
+    }
+  };
+
+  it("pages through a query with opaque cursors", async () => {
+    const seqs = [];
+    let cursor;
+    do {
+      const page = await query({ cursor });
+      expect(page).to.not.have.property("lastKey");
+      seqs.push(...page.items.map(({ seq }) => seq));
+      cursor = page.cursor;
+      if (cursor) {
+        expect(cursor).to.match(/^[\w-]+\.[\w-]+$/);
+      }
+    } while (cursor);
+
+    expect(seqs).to.deep.equal([0, 1, 2, 3, 4]);
+  });
+
+  it("pages through a scan with opaque cursors", async () => {
+    const first = await cache.scanPage({ table, limit: 6 });
+    const second = await cache.scanPage({
+      table,
+      limit: 6,
+      cursor: first.cursor,
+    });
+
+    expect(first.items.length + second.items.length).to.equal(10);
+    expect(second.cursor).to.be.undefined;
+  });
+
+  it("allows a different page size with the same cursor", async () => {
+    const { cursor } = await query();
+    const page = await query({ cursor, limit: 10 });
+    expect(page.items.map(({ seq }) => seq)).to.deep.equal([2, 3, 4]);
+  });
+
+  it("rejects tampered cursors", async () => {
+    const { cursor } = await query();
+    const [payload, signature] = cursor.split(".");
+    const decoded = JSON.parse(Buffer.from(payload, "base64url").toString());
+    decoded.key.stream = { S: "b" };
+    const forged = Buffer.from(JSON.stringify(decoded)).toString("base64url");
+
+    await rejects(
+      query({ cursor: `${forged}.${signature}` }),
+      /signature does not match/
+    );
+    await rejects(query({ cursor: "garbage" }), /malformed/);
+  });
+
+  it("rejects cursors issued for other query parameters", async () => {
+    const { cursor } = await query();
+    await rejects(
+      query({ cursor, match: { stream: "b" } }),
+      /issued for different query parameters/
+    );
+    await rejects(
+      query({ cursor, filter: { seq: { ">": 0 } } }),
+      /different query/
+    );
+    await rejects(cache.scanPage({ table, cursor }), /different query/);
+  });
+
+  it("rejects cursors signed with another secret", async () => {
+    const { cursor } = await new Cache(client, {
+      cursorSecret: "other",
+    }).queryPage({ table, match: { stream: "a" }, limit: 2 });
+    await rejects(query({ cursor }), /signature/);
+  });
+
+  it("round trips binary keys from SDK responses", async () => {
+    const binaryCache = new Cache({}, { cursorSecret: "s3cret" });
+    const lastKey = {
+      stream: { B: new Uint8Array([0, 255, 7]) },
+      seq: { N: "1" },
+    };
+    const sent = stubClient(
+      binaryCache,
+      () => ({ Items: [], LastEvaluatedKey: lastKey }),
+      { keys: ["stream", "seq"] }
+    );
+    const params = {
+      table,
+      match: { stream: Buffer.from([0, 255, 7]) },
+      limit: 2,
+    };
+
+    const { cursor } = await binaryCache.queryPage(params);
+    await binaryCache.queryPage({ ...params, cursor });
+
+    expect(sent[1].input.ExclusiveStartKey).to.deep.equal(lastKey);
+  });
+
+  it("requires a secret to accept cursors", async () => {
+    cache.cursorSecret = undefined;
+    try {
+      await query({ cursor: "a.b" });
+      expect.fail();
+    } catch (e) {
+      expect(e.message).to.equal("Cursors require the cursorSecret option");
+    }
+  });
+});
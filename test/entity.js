@@ -0,0 +1,180 @@
+const Cache = require("../Cache");
+const MemoryClient = require("../MemoryClient");
+const { expect } = require("chai");
+
+const table = "app";
+
+describe("Entity", () => {
+  let cache;
+  let User;
+  let Order;
+  beforeEach(async () => {
+    cache = new Cache(new MemoryClient());
+    await cache.createTable({
+      table,
+      keys: { hash: "pk", range: "sk" },
+      globalIndexes: [{ name: "gsi1", hash: "gsi1pk", range: "gsi1sk" }],
+    });
+    User = cache.defineEntity({
+      name: "User",
+      table,
+      keys: { pk: "USER#{id}", sk: "PROFILE" },
+      indexes: { gsi1: { gsi1pk: "EMAIL#{email}", gsi1sk: "USER#{id}" } },
+      attributes: { joined: "isoDate" },
+    });
+    Order = cache.defineEntity({
+      name: "Order",
+      table,
+      keys: { pk: "USER#{userId}", sk: "ORDER#{date}#{orderId}" },
+    });
+  });
+
+  const joined = new Date("2022-10-01T00:00:00.000Z");
+
+  it("fills composite keys and strips them from results", async () => {
+    await User.put({ id: "1", email: "a@x.com", name: "Ann", joined });
+
+    expect(User.key({ id: "1" })).to.deep.equal({
+      pk: "USER#1",
+      sk: "PROFILE",
+    });
+    const raw = await cache.getOne({ table, match: User.key({ id: "1" }) });
+    expect(raw).to.deep.equal({
+      pk: "USER#1",
+      sk: "PROFILE",
+      gsi1pk: "EMAIL#a@x.com",
+      gsi1sk: "USER#1",
+      _type: "User",
+      id: "1",
+      email: "a@x.com",
+      name: "Ann",
+      joined: "2022-10-01T00:00:00.000Z",
+    });
+    expect(await User.get({ id: "1" })).to.deep.equal({
+      id: "1",
+      email: "a@x.com",
+      name: "Ann",
+      joined,
+    });
+  });
+
+  it("passes its attribute types per call without changing the cache", async () => {
+    await User.put({ id: "1", email: "a@x.com", joined });
+    const match = User.key({ id: "1" });
+
+    expect(cache.schemas).to.deep.equal({});
+    expect(User.cache).to.equal(cache);
+    expect((await cache.getOne({ table, match })).joined).to.be.a("string");
+    expect(
+      (await cache.getOne({ table, match, schema: User.attributes })).joined
+    ).to.deep.equal(joined);
+  });
+
+  it("throws when a key template field is missing", async () => {
+    expect(() => User.key({})).to.throw("User key pk requires id");
+    try {
+      await Order.put({ userId: "1", orderId: "9" });
+      expect.fail();
+    } catch (e) {
+      expect(e.message).to.equal("Order key sk requires date");
+    }
+  });
+
+  it("only returns items of its own type", async () => {
+    await cache.putOne({
+      table,
+      item: { pk: "USER#1", sk: "PROFILE", _type: "Other" },
+    });
+    expect(await User.get({ id: "1" })).to.be.undefined;
+  });
+
+  it("skips sparse indexes when their fields are missing", async () => {
+    await User.put({ id: "1" });
+    const raw = await cache.getOne({ table, match: User.key({ id: "1" }) });
+    expect(raw).to.not.have.property("gsi1pk");
+  });
+
+  it("updates items and rebuilds touched index keys", async () => {
+    await User.put({ id: "1", email: "a@x.com", name: "Ann" });
+
+    const updated = await User.update(
+      { id: "1" },
+      { email: "b@x.com" },
+      { returnValues: "ALL_NEW" }
+    );
+    expect(updated).to.deep.equal({ id: "1", email: "b@x.com", name: "Ann" });
+    expect(
+      await User.query({ email: "b@x.com" }, { index: "gsi1" })
+    ).to.deep.equal([updated]);
+    expect(
+      await User.query({ email: "a@x.com" }, { index: "gsi1" })
+    ).to.deep.equal([]);
+  });
+
+  it("refuses updates that change key fields or cannot rebuild an index", async () => {
+    try {
+      await User.update({ id: "1" }, { id: "2" });
+      expect.fail();
+    } catch (e) {
+      expect(e.message).to.equal("Cannot update key field id of User");
+    }
+    const Member = cache.defineEntity({
+      name: "Member",
+      table,
+      keys: { pk: "MEMBER#{id}", sk: "MEMBER" },
+      indexes: { gsi1: { gsi1pk: "ORG#{org}", gsi1sk: "ROLE#{role}" } },
+    });
+    try {
+      await Member.update({ id: "1" }, { role: "admin" });
+      expect.fail();
+    } catch (e) {
+      expect(e.message).to.equal("Member gsi1 gsi1pk requires org");
+    }
+  });
+
+  it("adds the discriminator when an update creates the item", async () => {
+    await User.update({ id: "1" }, { name: "Ann" });
+    expect(await User.get({ id: "1" })).to.deep.equal({ name: "Ann" });
+  });
+
+  it("queries by partition and sort key prefix", async () => {
+    await User.put({ id: "1", name: "Ann" });
+    await Order.put({ userId: "1", date: "2022-01", orderId: "a", total: 5 });
+    await Order.put({ userId: "1", date: "2022-02", orderId: "b", total: 7 });
+    await Order.put({ userId: "2", date: "2022-01", orderId: "c", total: 9 });
+
+    const orders = await Order.query({ userId: "1" }, { ascending: false });
+    expect(orders).to.deep.equal([
+      { userId: "1", date: "2022-02", orderId: "b", total: 7 },
+      { userId: "1", date: "2022-01", orderId: "a", total: 5 },
+    ]);
+
+    const exact = await Order.query({
+      userId: "1",
+      date: "2022-01",
+      orderId: "a",
+    });
+    expect(exact.map(({ orderId }) => orderId)).to.deep.equal(["a"]);
+
+    const filtered = await Order.query(
+      { userId: "1" },
+      { filter: { total: { ">": 5 } } }
+    );
+    expect(filtered.map(({ orderId }) => orderId)).to.deep.equal(["b"]);
+  });
+
+  it("deletes items", async () => {
+    await User.put({ id: "1" });
+    await User.delete({ id: "1" });
+    expect(await User.get({ id: "1" })).to.be.undefined;
+  });
+
+  it("requires a name, table and keys", () => {
+    expect(() => cache.defineEntity({ table, keys: { pk: "X" } })).to.throw(
+      /name/
+    );
+    expect(() => cache.defineEntity({ name: "X", table })).to.throw(
+      /key templates/
+    );
+  });
+});
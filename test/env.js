@@ -2,5 +2,4 @@ Object.assign(process.env, {
   AWS_REGION: "us-east-1",
   AWS_ACCESS_KEY_ID: "fake",
   AWS_SECRET_ACCESS_KEY: "fake",
-  DYNAMO_ENDPOINT: "http://localhost:8000",
 });
@@ -0,0 +1,173 @@
+const Cache = require("../Cache");
+const MemoryClient = require("../MemoryClient");
+const {
+  DynamoToolsError,
+  ConditionFailedError,
+  ThrottledError,
+  ItemTooLargeError,
+  TableNotFoundError,
+  ValidationError,
+  UnprocessedItemsError,
+  TransactionCanceledError,
+  VersionConflictError,
+} = require("../Errors");
+const { stubClient } = require("./stub");
+const { expect } = require("chai");
+const {
+  ProvisionedThroughputExceededException,
+} = require("@aws-sdk/client-dynamodb");
+
+const table = "tests";
+
+describe("Cache errors", () => {
+  let cache;
+  beforeEach(async () => {
+    cache = new Cache(new MemoryClient(), { maxRetries: 0 });
+    await cache.createTable({ table, keys: { hash: "id" } });
+    await cache.putOne({ table, item: { id: "a", status: "old" } });
+  });
+
+  const rejects = async (promise, ErrorType) => {
+    try {
+      await promise;
+      expect.fail();
+    } catch (e) {
+      expect(e).to.be.instanceOf(ErrorType);
+      expect(e).to.be.instanceOf(DynamoToolsError);
+      return e;
+    }
+  };
+
+  describe("ConditionFailedError", () => {
+    const condition = { status: "new" };
+
+    it("carries the table, key and underlying exception", async () => {
+      const e = await rejects(
+        cache.deleteOne({ table, match: { id: "a" }, condition }),
+        ConditionFailedError
+      );
+      expect(e.name).to.equal("ConditionFailedError");
+      expect(e.table).to.equal(table);
+      expect(e.key).to.deep.equal({ id: "a" });
+      expect(e.item).to.be.undefined;
+      expect(e.cause.name).to.equal("ConditionalCheckFailedException");
+    });
+
+    it("returns the existing item when requested", async () => {
+      const options = { returnValuesOnConditionCheckFailure: "ALL_OLD" };
+      const failures = [
+        cache.putOne({ table, item: { id: "a" }, condition, ...options }),
+        cache.deleteOne({ table, match: { id: "a" }, condition, ...options }),
+        cache.updateOne({
+          table,
+          match: { id: "a" },
+          update: { status: "newer" },
+          condition,
+          ...options,
+        }),
+      ];
+      for (const failure of failures) {
+        const e = await rejects(failure, ConditionFailedError);
+        expect(e.key).to.deep.equal({ id: "a" });
+        expect(e.item).to.deep.equal({ id: "a", status: "old" });
+      }
+    });
+
+    it("is the base of version conflicts", async () => {
+      cache.versions = { [table]: "version" };
+      const e = await rejects(
+        cache.updateOne({
+          table,
+          match: { id: "a" },
+          update: { status: "new" },
+          expectedVersion: 3,
+        }),
+        ConditionFailedError
+      );
+      expect(e).to.be.instanceOf(VersionConflictError);
+      expect(e.key).to.deep.equal({ id: "a" });
+    });
+  });
+
+  it("throws TableNotFoundError for missing tables", async () => {
+    const e = await rejects(
+      cache.getOne({ table: "missing", match: { id: "a" } }),
+      TableNotFoundError
+    );
+    expect(e.table).to.equal("missing");
+    expect(e.message).to.match(/^missing: /);
+
+    await rejects(
+      cache.putMany({ table: "missing", items: [{ id: "a" }] }),
+      TableNotFoundError
+    );
+  });
+
+  it("throws ItemTooLargeError for items over the size limit", async () => {
+    const e = await rejects(
+      cache.putOne({ table, item: { id: "b", data: "x".repeat(400 * 1024) } }),
+      ItemTooLargeError
+    );
+    expect(e.key).to.deep.equal({ id: "b" });
+  });
+
+  it("throws ValidationError for requests DynamoDB rejects", async () => {
+    const e = await rejects(
+      cache.getOne({ table, match: { other: "a" } }),
+      ValidationError
+    );
+    expect(e.errors).to.deep.equal([]);
+    expect(e.cause.name).to.equal("ValidationException");
+  });
+
+  it("throws ThrottledError when throughput is exceeded", async () => {
+    stubClient(cache, () => {
+      throw new ProvisionedThroughputExceededException({
+        message: "Rate exceeded",
+        $metadata: {},
+      });
+    });
+    const e = await rejects(
+      cache.query({ table, match: { id: "a" } }),
+      ThrottledError
+    );
+    expect(e.message).to.equal("tests: Rate exceeded");
+  });
+
+  it("reports unprocessed batch items as throttling", async () => {
+    stubClient(cache, (cmd) => ({ UnprocessedItems: cmd.input.RequestItems }), {
+      keys: ["id"],
+    });
+    const e = await rejects(
+      cache.putMany({ table, items: [{ id: "b" }] }),
+      ThrottledError
+    );
+    expect(e).to.be.instanceOf(UnprocessedItemsError);
+    expect(e.keys).to.deep.equal({ [table]: [{ id: "b" }] });
+  });
+
+  it("wraps canceled transactions", async () => {
+    const e = await rejects(
+      cache.transactWrite([
+        { conditionCheck: { table, match: { id: "a" }, condition: { x: 1 } } },
+      ]),
+      TransactionCanceledError
+    );
+    expect(e.reasons.map(({ code }) => code)).to.deep.equal([
+      "ConditionalCheckFailed",
+    ]);
+  });
+
+  it("passes other errors through unchanged", async () => {
+    const error = new Error("socket hang up");
+    stubClient(cache, () => {
+      throw error;
+    });
+    try {
+      await cache.getOne({ table, match: { id: "a" } });
+      expect.fail();
+    } catch (e) {
+      expect(e).to.equal(error);
+    }
+  });
+});
@@ -0,0 +1,327 @@
+const {
+  Expression,
+  buildCondition,
+  parsePath,
+  escapePath,
+} = require("../Expression");
+const { REMOVE } = require("../Item");
+const { expect } = require("chai");
+
+describe("Expression.condition", () => {
+  it("works for a single comparison", () => {
+    const built = buildCondition({ something: { "=": "other" } });
+    expect(built).to.deep.equal({
+      expression: "#n0 = :v0",
+      names: { "#n0": "something" },
+      values: { ":v0": { S: "other" } },
+    });
+  });
+
+  it("treats a bare value as equality", () => {
+    const built = buildCondition({ favorite: true });
+    expect(built.expression).to.equal("#n0 = :v0");
+    expect(built.values).to.deep.equal({ ":v0": { BOOL: true } });
+  });
+
+  it("ANDs multiple attributes and multiple comparisons", () => {
+    const built = buildCondition({
+      favorite: { "=": true },
+      count: { ">": 1, "<=": 10 },
+    });
+    expect(built.expression).to.equal(
+      "(#n0 = :v0) AND ((#n1 > :v1) AND (#n1 <= :v2))"
+    );
+    expect(built.names).to.deep.equal({ "#n0": "favorite", "#n1": "count" });
+  });
+
+  it("works for $or, $and and $not with nesting", () => {
+    const built = buildCondition({
+      $or: [
+        { status: { "=": "active" } },
+        {
+          $and: [{ status: { "=": "pending" } }, { $not: { flagged: true } }],
+        },
+      ],
+    });
+    expect(built.expression).to.equal(
+      "(#n0 = :v0) OR ((#n0 = :v1) AND (NOT (#n1 = :v2)))"
+    );
+    expect(built.names).to.deep.equal({ "#n0": "status", "#n1": "flagged" });
+    expect(built.values).to.deep.equal({
+      ":v0": { S: "active" },
+      ":v1": { S: "pending" },
+      ":v2": { BOOL: true },
+    });
+  });
+
+  it("accepts an array of conditions as an implicit AND", () => {
+    const built = buildCondition([{ a: { "=": "x" } }, { b: { "<>": "y" } }]);
+    expect(built.expression).to.equal("(#n0 = :v0) AND (#n1 <> :v1)");
+  });
+
+  it("works for attribute_exists and attribute_not_exists", () => {
+    expect(
+      buildCondition({ a: { attribute_exists: true } }).expression
+    ).to.equal("attribute_exists(#n0)");
+    expect(buildCondition({ a: { exists: false } }).expression).to.equal(
+      "attribute_not_exists(#n0)"
+    );
+    expect(
+      buildCondition({ a: { attribute_not_exists: true } }).expression
+    ).to.equal("attribute_not_exists(#n0)");
+    expect(buildCondition({ a: { exists: true } }).values).to.deep.equal({});
+  });
+
+  it("works for begins_with, contains and attribute_type", () => {
+    const built = buildCondition({
+      name: { beginsWith: "sha" },
+      tags: { contains: "red" },
+      data: { attribute_type: "M" },
+    });
+    expect(built.expression).to.equal(
+      "(begins_with(#n0, :v0)) AND (contains(#n1, :v1)) AND (attribute_type(#n2, :v2))"
+    );
+    expect(built.values).to.deep.equal({
+      ":v0": { S: "sha" },
+      ":v1": { S: "red" },
+      ":v2": { S: "M" },
+    });
+  });
+
+  it("works for size comparisons", () => {
+    expect(buildCondition({ tags: { size: { ">": 2 } } }).expression).to.equal(
+      "size(#n0) > :v0"
+    );
+    expect(buildCondition({ tags: { size: 3 } }).expression).to.equal(
+      "size(#n0) = :v0"
+    );
+  });
+
+  it("works for BETWEEN and IN", () => {
+    const built = buildCondition({
+      count: { BETWEEN: [1, 5] },
+      status: { in: ["a", "b", "c"] },
+    });
+    expect(built.expression).to.equal(
+      "(#n0 BETWEEN :v0 AND :v1) AND (#n1 IN (:v2, :v3, :v4))"
+    );
+    expect(built.values).to.deep.equal({
+      ":v0": { N: "1" },
+      ":v1": { N: "5" },
+      ":v2": { S: "a" },
+      ":v3": { S: "b" },
+      ":v4": { S: "c" },
+    });
+  });
+
+  it("serializes map values", () => {
+    const built = buildCondition({ profile: { "=": { city: "Boston" } } });
+    expect(built.values).to.deep.equal({
+      ":v0": { M: { city: { S: "Boston" } } },
+    });
+  });
+
+  it("throws for unsupported operators", () => {
+    expect(() => buildCondition({ a: { "~": 1 } })).to.throw(
+      /Unsupported condition operator/
+    );
+  });
+
+  it("throws for malformed operands", () => {
+    expect(() => buildCondition({ a: { between: [1] } })).to.throw(/BETWEEN/);
+    expect(() => buildCondition({ a: { in: [] } })).to.throw(/IN/);
+    expect(() => buildCondition({ $or: [] })).to.throw(/\$or/);
+  });
+});
+
+describe("parsePath", () => {
+  it("splits dotted paths and list indexes", () => {
+    expect(parsePath("profile.address.city")).to.deep.equal([
+      "profile",
+      "address",
+      "city",
+    ]);
+    expect(parsePath("tags[2]")).to.deep.equal(["tags", 2]);
+    expect(parsePath("a.b[0][1].c")).to.deep.equal(["a", "b", 0, 1, "c"]);
+  });
+
+  it("treats escaped characters as part of the name", () => {
+    expect(parsePath("config\\.json.size")).to.deep.equal([
+      "config.json",
+      "size",
+    ]);
+    expect(parsePath(escapePath("a.b[0]\\c"))).to.deep.equal(["a.b[0]\\c"]);
+  });
+
+  it("throws for malformed paths", () => {
+    ["", ".a", "a.", "a..b", "[0]", "a[x]", "a[1]b", "a\\"].forEach((path) =>
+      expect(() => parsePath(path)).to.throw(/Invalid attribute path/)
+    );
+  });
+});
+
+describe("Expression.update", () => {
+  it("combines every action into one expression", () => {
+    const expression = new Expression();
+    const update = expression.update({
+      set: { name: "new", skipped: undefined },
+      setIfNotExists: { created: 1 },
+      append: { history: ["a"] },
+      prepend: { recent: ["b"] },
+      remove: ["nickname"],
+      add: { visits: 1 },
+      delete: { tags: new Set(["old"]) },
+    });
+    expect(update).to.equal(
+      "SET #n0 = :v0, #n1 = if_not_exists(#n1, :v1), " +
+        "#n2 = list_append(if_not_exists(#n2, :v3), :v2), " +
+        "#n3 = list_append(:v4, if_not_exists(#n3, :v3)) " +
+        "REMOVE #n4 ADD #n5 :v5 DELETE #n6 :v6"
+    );
+    expect(expression.names).to.deep.equal({
+      "#n0": "name",
+      "#n1": "created",
+      "#n2": "history",
+      "#n3": "recent",
+      "#n4": "nickname",
+      "#n5": "visits",
+      "#n6": "tags",
+    });
+    expect(expression.values).to.deep.equal({
+      ":v0": { S: "new" },
+      ":v1": { N: "1" },
+      ":v2": { L: [{ S: "a" }] },
+      ":v3": { L: [] },
+      ":v4": { L: [{ S: "b" }] },
+      ":v5": { N: "1" },
+      ":v6": { SS: ["old"] },
+    });
+  });
+
+  it("turns REMOVE sentinels in set into REMOVE actions", () => {
+    const expression = new Expression();
+    const update = expression.update({
+      set: { name: "new", nickname: REMOVE },
+      remove: ["legacy"],
+    });
+    expect(update).to.equal("SET #n0 = :v0 REMOVE #n1, #n2");
+    expect(expression.names).to.deep.equal({
+      "#n0": "name",
+      "#n1": "nickname",
+      "#n2": "legacy",
+    });
+  });
+
+  it("throws when there is nothing to update", () => {
+    const expression = new Expression();
+    expect(() => expression.update({ set: { a: undefined } })).to.throw(
+      /at least one/
+    );
+  });
+});
+
+describe("Expression.keyCondition", () => {
+  it("builds every sort key operator", () => {
+    const expression = new Expression();
+    expect(expression.keyCondition("pk", "a")).to.equal("#n0 = :v0");
+    expect(expression.keyCondition("sk", { ">=": 1 })).to.equal("#n1 >= :v1");
+    expect(expression.keyCondition("sk", { between: [1, 5] })).to.equal(
+      "#n1 BETWEEN :v2 AND :v3"
+    );
+    expect(expression.keyCondition("sk", { beginsWith: "ORDER#" })).to.equal(
+      "begins_with(#n1, :v4)"
+    );
+    expect(expression.values[":v4"]).to.deep.equal({ S: "ORDER#" });
+  });
+
+  it("rejects operators DynamoDB does not allow on keys", () => {
+    const expression = new Expression();
+    expect(() => expression.keyCondition("sk", { "<>": 1 })).to.throw(
+      "Unsupported key condition operator: <>"
+    );
+    expect(() => expression.keyCondition("sk", { contains: "a" })).to.throw(
+      /Unsupported/
+    );
+    expect(() => expression.keyCondition("sk", { ">": 1, "<": 5 })).to.throw(
+      /exactly one operator/
+    );
+  });
+});
+
+describe("Expression", () => {
+  it("does not reuse placeholders across expressions sharing a builder", () => {
+    const expression = new Expression();
+    const update = `SET ${expression.name("a")}=${expression.value(1)}`;
+    const condition = expression.condition({ a: { "<": 1 }, b: { "=": 2 } });
+    expect(update).to.equal("SET #n0=:v0");
+    expect(condition).to.equal("(#n0 < :v1) AND (#n1 = :v2)");
+  });
+
+  it("applies names and values to params, omitting empty maps", () => {
+    const expression = new Expression();
+    expect(expression.applyTo({ TableName: "t" })).to.deep.equal({
+      TableName: "t",
+    });
+
+    expression.condition({ a: { exists: true } });
+    expect(expression.applyTo({ TableName: "t" })).to.deep.equal({
+      TableName: "t",
+      ExpressionAttributeNames: { "#n0": "a" },
+    });
+  });
+
+  it("builds projections", () => {
+    const expression = new Expression();
+    expect(expression.projection(["a", "b"])).to.equal("#n0, #n1");
+  });
+
+  it("uses type hints for compared values", () => {
+    const built = buildCondition(
+      { zip: { in: [2134, "02134"] }, count: { size: { ">": 1 } } },
+      { schema: { zip: "S", count: "S" } }
+    );
+    expect(built.values).to.deep.equal({
+      ":v0": { S: "2134" },
+      ":v1": { S: "02134" },
+      ":v2": { N: "1" },
+    });
+  });
+
+  it("serializes codec values in conditions", () => {
+    const date = new Date("2022-10-01T12:00:00.000Z");
+    const built = buildCondition({ created: date, updated: { "<": date } });
+    expect(built.values).to.deep.equal({
+      ":v0": { S: "2022-10-01T12:00:00.000Z" },
+      ":v1": { S: "2022-10-01T12:00:00.000Z" },
+    });
+  });
+
+  it("escapes every segment of nested paths", () => {
+    const expression = new Expression({
+      schema: { profile: { address: { zip: "S" } } },
+    });
+    const update = expression.update({
+      set: { "profile.address.zip": 2134, "tags[2]": "x" },
+      remove: ["profile.nickname"],
+    });
+    const condition = expression.condition({
+      "profile.address.city": { "=": "Boston" },
+    });
+    const projection = expression.projection(["profile.address", "tags[0]"]);
+
+    expect(update).to.equal(
+      "SET #n0.#n1.#n2 = :v0, #n3[2] = :v1 REMOVE #n0.#n4"
+    );
+    expect(condition).to.equal("#n0.#n1.#n5 = :v2");
+    expect(projection).to.equal("#n0.#n1, #n3[0]");
+    expect(expression.names).to.deep.equal({
+      "#n0": "profile",
+      "#n1": "address",
+      "#n2": "zip",
+      "#n3": "tags",
+      "#n4": "nickname",
+      "#n5": "city",
+    });
+    expect(expression.values[":v0"]).to.deep.equal({ S: "2134" });
+  });
+});
@@ -221,6 +221,235 @@ describe("Item.fromObject", () => {
   });
 });
 
+describe("Item type modes", () => {
+  it("keeps numeric-looking strings as strings by default", () => {
+    const item = Item.fromObject({ zip: "00123", phone: "5551234", n: 5 });
+    expect(item).to.deep.equal({
+      zip: { S: "00123" },
+      phone: { S: "5551234" },
+      n: { N: "5" },
+    });
+    expect(Item.toObject(item)).to.deep.equal({
+      zip: "00123",
+      phone: "5551234",
+      n: 5,
+    });
+  });
+
+  it("converts digit strings to numbers in legacy mode", () => {
+    const item = Item.fromObject(
+      { zip: "00123", price: "1.5", nested: { id: "42" } },
+      { typeMode: "legacy" }
+    );
+    expect(item).to.deep.equal({
+      zip: { N: "00123" },
+      price: { S: "1.5" },
+      nested: { M: { id: { N: "42" } } },
+    });
+  });
+
+  it("respects attribute type hints in both directions", () => {
+    const schema = {
+      zip: "S",
+      count: "N",
+      tags: "SS",
+      profile: { postcode: "S" },
+    };
+    const item = Item.fromObject(
+      { zip: 2134, count: "7", tags: ["a", "b"], profile: { postcode: 9 } },
+      { schema }
+    );
+    expect(item).to.deep.equal({
+      zip: { S: "2134" },
+      count: { N: "7" },
+      tags: { SS: ["a", "b"] },
+      profile: { M: { postcode: { S: "9" } } },
+    });
+
+    const legacy = {
+      zip: { N: "2134" },
+      count: { N: "7" },
+      tags: { SS: ["a", "b"] },
+      profile: { M: { postcode: { N: "9" } } },
+      other: { N: "1" },
+    };
+    expect(Item.toObject(legacy, { schema })).to.deep.equal({
+      zip: "2134",
+      count: 7,
+      tags: new Set(["a", "b"]),
+      profile: { postcode: "9" },
+      other: 1,
+    });
+  });
+
+  it("keeps null values regardless of type hints", () => {
+    const schema = { zip: "S" };
+    const item = Item.fromObject({ zip: null }, { schema });
+    expect(item).to.deep.equal({ zip: { NULL: true } });
+    expect(Item.toObject(item, { schema })).to.deep.equal({ zip: null });
+  });
+
+  it("throws for unknown type hints", () => {
+    expect(() => Item.fromObject({ a: 1 }, { schema: { a: "X" } })).to.throw(
+      /Unknown attribute type/
+    );
+  });
+});
+
+describe("Item number modes", () => {
+  const big = "123456789012345678901234567890";
+
+  it("serializes BigInt values and sets losslessly", () => {
+    const item = Item.fromObject({
+      id: BigInt(big),
+      ids: new Set([BigInt(big), 2n]),
+      nums: new Set([1, 2]),
+    });
+    expect(item).to.deep.equal({
+      id: { N: big },
+      ids: { NS: [big, "2"] },
+      nums: { NS: ["1", "2"] },
+    });
+  });
+
+  it("returns BigInt for integers in bigint mode", () => {
+    const parsed = Item.toObject(
+      { id: { N: big }, price: { N: "1.5" }, ids: { NS: [big, "2"] } },
+      { numberMode: "bigint" }
+    );
+    expect(parsed).to.deep.equal({
+      id: BigInt(big),
+      price: 1.5,
+      ids: new Set([BigInt(big), 2n]),
+    });
+  });
+
+  it("returns strings in string mode", () => {
+    const parsed = Item.toObject(
+      { id: { N: big }, nested: { M: { price: { N: "1.50" } } } },
+      { numberMode: "string" }
+    );
+    expect(parsed).to.deep.equal({ id: big, nested: { price: "1.50" } });
+  });
+
+  it("uses a pluggable decimal class in both directions", () => {
+    class Decimal {
+      constructor(value) {
+        this.value = value;
+      }
+
+      toString() {
+        return this.value;
+      }
+    }
+    const options = { numberMode: Decimal };
+
+    const parsed = Item.toObject(
+      { price: { N: "0.1" }, prices: { NS: ["0.2"] } },
+      options
+    );
+    expect(parsed.price).to.be.an.instanceOf(Decimal);
+    expect(parsed.price.value).to.equal("0.1");
+    expect(Array.from(parsed.prices)[0].value).to.equal("0.2");
+
+    expect(Item.fromObject(parsed, options)).to.deep.equal({
+      price: { N: "0.1" },
+      prices: { NS: ["0.2"] },
+    });
+  });
+
+  it("uses the number mode for type hinted attributes", () => {
+    const parsed = Item.toObject(
+      { id: { S: big } },
+      { numberMode: "bigint", schema: { id: "N" } }
+    );
+    expect(parsed).to.deep.equal({ id: BigInt(big) });
+  });
+});
+
+describe("Item codecs", () => {
+  class Money {
+    constructor(cents) {
+      this.cents = cents;
+    }
+  }
+  const money = {
+    name: "money",
+    type: Money,
+    dynamoType: "N",
+    serialize: (value) => value.cents,
+    deserialize: (cents) => new Money(cents),
+  };
+
+  it("serializes dates as ISO strings by default", () => {
+    const date = new Date("2022-10-01T12:00:00.000Z");
+    const item = Item.fromObject({ created: date });
+    expect(item).to.deep.equal({ created: { S: "2022-10-01T12:00:00.000Z" } });
+    expect(
+      Item.toObject(item, { schema: { created: "isoDate" } })
+    ).to.deep.equal({ created: date });
+  });
+
+  it("serializes dates as epoch numbers when hinted", () => {
+    const date = new Date(1664625600000);
+    const schema = { created: "epochDate" };
+    const item = Item.fromObject({ created: date }, { schema });
+    expect(item).to.deep.equal({ created: { N: "1664625600000" } });
+    expect(Item.toObject(item, { schema })).to.deep.equal({ created: date });
+  });
+
+  it("serializes Maps as M", () => {
+    const map = new Map([
+      ["a", 1],
+      ["b", "two"],
+    ]);
+    const item = Item.fromObject({ lookup: map });
+    expect(item).to.deep.equal({
+      lookup: { M: { a: { N: "1" }, b: { S: "two" } } },
+    });
+    expect(Item.toObject(item)).to.deep.equal({ lookup: { a: 1, b: "two" } });
+    expect(
+      Item.toObject(item, { schema: { lookup: "map" } }).lookup
+    ).to.deep.equal(map);
+  });
+
+  it("uses codecs passed in options", () => {
+    const options = { codecs: [money], schema: { price: "money" } };
+    const item = Item.fromObject({ price: new Money(1999) }, options);
+    expect(item).to.deep.equal({ price: { N: "1999" } });
+
+    const parsed = Item.toObject(item, options);
+    expect(parsed.price).to.be.an.instanceOf(Money);
+    expect(parsed.price.cents).to.equal(1999);
+  });
+
+  it("uses registered codecs", () => {
+    class Tag {
+      constructor(name) {
+        this.name = name;
+      }
+    }
+    Item.registerCodec({
+      name: "tag",
+      type: Tag,
+      serialize: (tag) => `#${tag.name}`,
+      deserialize: (value) => new Tag(value.slice(1)),
+    });
+
+    const item = Item.fromObject({ tag: new Tag("blue") });
+    expect(item).to.deep.equal({ tag: { S: "#blue" } });
+    expect(
+      Item.toObject(item, { schema: { tag: "tag" } }).tag
+    ).to.be.an.instanceOf(Tag);
+  });
+
+  it("rejects codecs missing required functions", () => {
+    expect(() => Item.registerCodec({ name: "broken" })).to.throw(
+      /require a name/
+    );
+  });
+});
+
 describe("isPOJO", () => {
   it("returns false for arrays", () => {
     expect(Item.isPOJO([])).to.be.false;
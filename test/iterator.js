@@ -0,0 +1,124 @@
+const Cache = require("../Cache");
+const { fromObject } = require("../Item");
+const { stubClient } = require("./stub");
+const { expect } = require("chai");
+
+const table = "tests";
+const primaryKey = "primary_key";
+
+function pagedClient(cache, pageCount, pageSize = 2) {
+  const sent = [];
+  stubClient(
+    cache,
+    (cmd, index, options) => {
+      sent.push({ cmd, options });
+      const page = cmd.input.ExclusiveStartKey
+        ? Number(cmd.input.ExclusiveStartKey.page.N) + 1
+        : 0;
+      const Items = [];
+      for (let i = 0; i < pageSize; i++) {
+        Items.push(fromObject({ [primaryKey]: `key${page * pageSize + i}` }));
+      }
+      return {
+        Items,
+        LastEvaluatedKey:
+          page < pageCount - 1 ? fromObject({ page }) : undefined,
+      };
+    },
+    { keys: [primaryKey] }
+  );
+  return sent;
+}
+
+describe("Cache iterators", () => {
+  let cache;
+  beforeEach(() => {
+    cache = new Cache({});
+  });
+
+  describe("queryIterator", () => {
+    it("yields items from every page", async () => {
+      const sent = pagedClient(cache, 3);
+      const keys = [];
+      for await (const item of cache.queryIterator({
+        table,
+        match: { [primaryKey]: "a" },
+      })) {
+        keys.push(item[primaryKey]);
+      }
+
+      expect(sent.length).to.equal(3);
+      expect(keys).to.deep.equal([
+        "key0",
+        "key1",
+        "key2",
+        "key3",
+        "key4",
+        "key5",
+      ]);
+    });
+
+    it("yields whole pages with their lastKey", async () => {
+      pagedClient(cache, 2);
+      const pages = [];
+      for await (const page of cache.queryIterator({
+        table,
+        match: { [primaryKey]: "a" },
+        pages: true,
+      })) {
+        pages.push(page);
+      }
+
+      expect(pages).to.deep.equal([
+        {
+          items: [{ [primaryKey]: "key0" }, { [primaryKey]: "key1" }],
+          lastKey: fromObject({ page: 0 }),
+        },
+        {
+          items: [{ [primaryKey]: "key2" }, { [primaryKey]: "key3" }],
+          lastKey: undefined,
+        },
+      ]);
+    });
+
+    it("stops fetching pages after an early break", async () => {
+      const sent = pagedClient(cache, 100);
+      for await (const item of cache.queryIterator({
+        table,
+        match: { [primaryKey]: "a" },
+      })) {
+        if (item[primaryKey] === "key2") {
+          break;
+        }
+      }
+
+      expect(sent.length).to.equal(2);
+    });
+  });
+
+  describe("scanIterator", () => {
+    it("passes the abort signal to the client and stops when aborted", async () => {
+      const sent = pagedClient(cache, 100);
+      const controller = new AbortController();
+      const keys = [];
+      try {
+        for await (const item of cache.scanIterator({
+          table,
+          signal: controller.signal,
+        })) {
+          keys.push(item[primaryKey]);
+          if (keys.length === 3) {
+            controller.abort();
+          }
+        }
+        expect.fail();
+      } catch (e) {
+        expect(e.name).to.equal("AbortError");
+      }
+
+      expect(keys.length).to.equal(4);
+      expect(sent.length).to.equal(2);
+      expect(sent[0].options.abortSignal).to.equal(controller.signal);
+    });
+  });
+});
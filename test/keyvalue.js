@@ -0,0 +1,183 @@
+const Cache = require("../Cache");
+const { fromObject } = require("../Item");
+const { stubClient } = require("./stub");
+const { expect } = require("chai");
+
+const table = "kv";
+
+describe("Cache key-value methods", () => {
+  let cache;
+  let sent;
+  let store;
+  beforeEach(() => {
+    cache = new Cache({}, { keyValue: { table, ttlSeconds: 60 } });
+    store = new Map();
+    sent = stubClient(cache, (cmd) => {
+      const { input } = cmd;
+      switch (cmd.constructor.name) {
+        case "GetItemCommand":
+          return { Item: store.get(input.Key.key.S) };
+        case "PutItemCommand":
+          store.set(input.Item.key.S, input.Item);
+          return {};
+        case "DeleteItemCommand":
+          store.delete(input.Key.key.S);
+          return {};
+        case "BatchGetItemCommand":
+          return {
+            Responses: {
+              [table]: input.RequestItems[table].Keys.map((key) =>
+                store.get(key.key.S)
+              ).filter(Boolean),
+            },
+          };
+        case "BatchWriteItemCommand":
+          input.RequestItems[table].forEach(({ PutRequest }) =>
+            store.set(PutRequest.Item.key.S, PutRequest.Item)
+          );
+          return {};
+      }
+    });
+  });
+
+  const now = () => Math.floor(Date.now() / 1000);
+
+  it("sets, gets and deletes values", async () => {
+    await cache.set("a", { count: 1 });
+    expect(await cache.get("a")).to.deep.equal({ count: 1 });
+
+    await cache.del("a");
+    expect(await cache.get("a")).to.be.undefined;
+  });
+
+  it("writes the expiry as epoch seconds", async () => {
+    await cache.set("a", "value", { ttlSeconds: 10 });
+    await cache.set("b", "value");
+
+    expect(Number(store.get("a").expires_at.N)).to.be.closeTo(now() + 10, 1);
+    expect(Number(store.get("b").expires_at.N)).to.be.closeTo(now() + 60, 1);
+  });
+
+  it("treats expired items as misses", async () => {
+    store.set(
+      "a",
+      fromObject({ key: "a", value: "stale", expires_at: now() - 1 })
+    );
+    store.set("b", fromObject({ key: "b", value: "fresh" }));
+
+    expect(await cache.get("a")).to.be.undefined;
+    expect(await cache.mget(["a", "b", "c"])).to.deep.equal([
+      undefined,
+      "fresh",
+      undefined,
+    ]);
+  });
+
+  it("uses the configured attribute names", async () => {
+    cache.keyValue = {
+      table,
+      key: "key",
+      value: "data",
+      ttlAttribute: "ttl",
+    };
+    await cache.set("a", 1, { ttlSeconds: 5 });
+
+    expect(Object.keys(store.get("a")).sort()).to.deep.equal([
+      "data",
+      "key",
+      "ttl",
+    ]);
+  });
+
+  it("sets many values at once", async () => {
+    await cache.mset({ a: 1, b: 2 });
+    await cache.mset([["c", 3]], { ttlSeconds: 1 });
+
+    expect(await cache.mget(["c", "b", "a"])).to.deep.equal([3, 2, 1]);
+  });
+
+  describe("getOrSet", () => {
+    it("loads and stores missing values", async () => {
+      const value = await cache.getOrSet("a", async (key) => `loaded ${key}`);
+
+      expect(value).to.equal("loaded a");
+      expect(await cache.get("a")).to.equal("loaded a");
+      expect(
+        await cache.getOrSet("a", () => expect.fail("loader was called"))
+      ).to.equal("loaded a");
+    });
+
+    it("accepts the ttl in seconds as the third argument", async () => {
+      await cache.getOrSet("a", () => "value", 10);
+      await cache.getOrSet("b", () => "value", { ttlSeconds: 20 });
+
+      expect(Number(store.get("a").expires_at.N)).to.be.closeTo(now() + 10, 1);
+      expect(Number(store.get("b").expires_at.N)).to.be.closeTo(now() + 20, 1);
+    });
+
+    it("runs a single loader for concurrent callers", async () => {
+      let calls = 0;
+      const loader = async () => {
+        calls++;
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        return "value";
+      };
+
+      const values = await Promise.all(
+        [1, 2, 3].map(() => cache.getOrSet("a", loader))
+      );
+
+      expect(values).to.deep.equal(["value", "value", "value"]);
+      expect(calls).to.equal(1);
+      expect(
+        sent.filter((cmd) => cmd.constructor.name === "PutItemCommand").length
+      ).to.equal(1);
+    });
+
+    it("loads values for BigInt keys", async () => {
+      let calls = 0;
+      const loader = async (key) => {
+        calls++;
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        return `loaded ${key}`;
+      };
+
+      const values = await Promise.all([
+        cache.getOrSet(5n, loader),
+        cache.getOrSet(5n, loader),
+      ]);
+
+      expect(values).to.deep.equal(["loaded 5", "loaded 5"]);
+      expect(calls).to.equal(1);
+      const put = sent.find((cmd) => cmd.constructor.name === "PutItemCommand");
+      expect(put.input.Item.key).to.deep.equal({ N: "5" });
+    });
+
+    it("shares loader failures and allows a later retry", async () => {
+      const failing = cache.getOrSet("a", async () => {
+        throw new Error("boom");
+      });
+      const joined = cache.getOrSet("a", () => "unused");
+
+      for (const promise of [failing, joined]) {
+        try {
+          await promise;
+          expect.fail();
+        } catch (e) {
+          expect(e.message).to.equal("boom");
+        }
+      }
+      expect(await cache.getOrSet("a", () => "ok")).to.equal("ok");
+    });
+  });
+
+  it("requires a configured table", async () => {
+    cache.keyValue = undefined;
+    try {
+      await cache.get("a");
+      expect.fail();
+    } catch (e) {
+      expect(e.message).to.match(/keyValue/);
+    }
+  });
+});
@@ -0,0 +1,211 @@
+const Cache = require("../Cache");
+const LRU = require("../LRU");
+const { fromObject } = require("../Item");
+const { stubClient } = require("./stub");
+const { expect } = require("chai");
+
+const table = "tests";
+const primaryKey = "primary_key";
+
+describe("LRU", () => {
+  it("evicts the least recently used entry", () => {
+    const lru = new LRU({ maxSize: 2 });
+    lru.set("a", 1);
+    lru.set("b", 2);
+    lru.get("a");
+    lru.set("c", 3);
+
+    expect(lru.get("b")).to.be.undefined;
+    expect(lru.get("a")).to.equal(1);
+    expect(lru.get("c")).to.equal(3);
+    expect(lru.stats()).to.deep.equal({
+      hits: 3,
+      misses: 1,
+      evictions: 1,
+      size: 2,
+    });
+  });
+
+  it("expires entries after their ttl", async () => {
+    const lru = new LRU({ ttl: 5 });
+    lru.set("a", 1);
+    expect(lru.get("a")).to.equal(1);
+
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(lru.get("a")).to.be.undefined;
+    expect(lru.size).to.equal(0);
+  });
+
+  it("requires a positive maxSize", () => {
+    expect(() => new LRU({ maxSize: 0 })).to.throw(/maxSize/);
+  });
+});
+
+describe("Cache memory layer", () => {
+  let cache;
+  let sent;
+  beforeEach(() => {
+    cache = new Cache({}, { memory: { [table]: { maxSize: 10 } } });
+    sent = stubClient(cache, (cmd) => {
+      switch (cmd.constructor.name) {
+        case "GetItemCommand":
+          return { Item: { ...cmd.input.Key, something: { S: "other" } } };
+        case "BatchGetItemCommand":
+          return {
+            Responses: {
+              [table]: cmd.input.RequestItems[table].Keys.map((key) => ({
+                ...key,
+                something: { S: "other" },
+              })),
+            },
+          };
+        default:
+          return {};
+      }
+    });
+  });
+
+  const match = { [primaryKey]: "a" };
+  const getItems = () =>
+    sent.filter((cmd) => cmd.constructor.name === "GetItemCommand");
+
+  describe("getOne", () => {
+    it("serves repeated reads from memory", async () => {
+      const first = await cache.getOne({ table, match });
+      first.something = "changed";
+      const second = await cache.getOne({ table, match });
+
+      expect(second).to.deep.equal({ ...match, something: "other" });
+      expect(getItems().length).to.equal(1);
+      expect(cache.memoryStats({ table })).to.deep.equal({
+        hits: 1,
+        misses: 1,
+        evictions: 0,
+        size: 1,
+      });
+    });
+
+    it("bypasses memory for consistent reads", async () => {
+      await cache.getOne({ table, match });
+      await cache.getOne({ table, match, consistentRead: true });
+
+      expect(getItems().length).to.equal(2);
+      expect(getItems()[1].input.ConsistentRead).to.equal(true);
+    });
+
+    it("does not use memory for tables without settings", async () => {
+      await cache.getOne({ table: "other", match });
+      await cache.getOne({ table: "other", match });
+
+      expect(getItems().length).to.equal(2);
+      expect(cache.memoryStats({ table: "other" })).to.be.undefined;
+    });
+  });
+
+  describe("invalidation", () => {
+    const writes = {
+      putOne: () =>
+        cache.putOne({ table, item: { ...match, something: "new" } }),
+      updateOne: () =>
+        cache.updateOne({ table, match, update: { something: "new" } }),
+      deleteOne: () => cache.deleteOne({ table, match }),
+      putMany: () => cache.putMany({ table, items: [match] }),
+      deleteMany: () => cache.deleteMany({ table, items: [match] }),
+      addToSet: () =>
+        cache.addToSet({ table, match, update: { tags: new Set(["a"]) } }),
+      appendToList: () =>
+        cache.appendToList({ table, match, update: { list: ["a"] } }),
+      transactWrite: () => cache.transactWrite([{ delete: { table, match } }]),
+    };
+
+    Object.keys(writes).forEach((method) => {
+      it(`forgets the key after ${method}`, async () => {
+        await cache.getOne({ table, match });
+        await writes[method]();
+        await cache.getOne({ table, match });
+
+        expect(getItems().length).to.equal(2);
+      });
+    });
+
+    const reads = {
+      getOne: () => cache.getOne({ table, match }),
+      getMany: () => cache.getMany({ table, matches: [match] }),
+    };
+
+    Object.keys(reads).forEach((method) => {
+      it(`does not keep a ${method} result that raced with a write`, async () => {
+        let release;
+        const stale = new Promise((resolve) => {
+          release = resolve;
+        });
+        const item = fromObject({ ...match, something: "old" });
+        sent = stubClient(cache, async (cmd) => {
+          switch (cmd.constructor.name) {
+            case "GetItemCommand":
+              await stale;
+              return { Item: item };
+            case "BatchGetItemCommand":
+              await stale;
+              return { Responses: { [table]: [item] } };
+            default:
+              return {};
+          }
+        });
+
+        const read = reads[method]();
+        await cache.putOne({ table, item: { ...match, something: "new" } });
+        release();
+        await read;
+
+        expect(cache.memoryStats({ table }).size).to.equal(0);
+      });
+    });
+
+    it("keeps other keys", async () => {
+      await cache.getOne({ table, match });
+      await cache.putOne({ table, item: { [primaryKey]: "b" } });
+      await cache.getOne({ table, match });
+
+      expect(getItems().length).to.equal(1);
+    });
+  });
+
+  describe("getMany", () => {
+    it("only requests keys missing from memory", async () => {
+      await cache.getOne({ table, match });
+      const items = await cache.getMany({
+        table,
+        matches: [match, { [primaryKey]: "b" }],
+        ordered: true,
+      });
+
+      const batch = sent.find(
+        (cmd) => cmd.constructor.name === "BatchGetItemCommand"
+      );
+      expect(batch.input.RequestItems[table].Keys).to.deep.equal([
+        fromObject({ [primaryKey]: "b" }),
+      ]);
+      expect(items).to.deep.equal([
+        { ...match, something: "other" },
+        { [primaryKey]: "b", something: "other" },
+      ]);
+
+      await cache.getOne({ table, match: { [primaryKey]: "b" } });
+      expect(getItems().length).to.equal(1);
+    });
+
+    it("reads every key consistently when asked to", async () => {
+      await cache.getOne({ table, match });
+      await cache.getMany({ table, matches: [match], consistentRead: true });
+
+      const batch = sent.find(
+        (cmd) => cmd.constructor.name === "BatchGetItemCommand"
+      );
+      expect(batch.input.RequestItems[table]).to.deep.equal({
+        Keys: [fromObject(match)],
+        ConsistentRead: true,
+      });
+    });
+  });
+});
@@ -0,0 +1,450 @@
+const MemoryClient = require("../MemoryClient");
+const { fromObject, toObject } = require("../Item");
+const { expect } = require("chai");
+const {
+  CreateTableCommand,
+  DescribeTableCommand,
+  GetItemCommand,
+  PutItemCommand,
+  DeleteItemCommand,
+  UpdateItemCommand,
+  QueryCommand,
+  ScanCommand,
+  BatchGetItemCommand,
+  TransactWriteItemsCommand,
+} = require("@aws-sdk/client-dynamodb");
+
+const table = "tests";
+
+describe("MemoryClient", () => {
+  let client;
+  beforeEach(async () => {
+    client = new MemoryClient();
+    await client.send(
+      new CreateTableCommand({
+        TableName: table,
+        KeySchema: [
+          { AttributeName: "pk", KeyType: "HASH" },
+          { AttributeName: "sk", KeyType: "RANGE" },
+        ],
+        AttributeDefinitions: [
+          { AttributeName: "pk", AttributeType: "S" },
+          { AttributeName: "sk", AttributeType: "N" },
+          { AttributeName: "email", AttributeType: "S" },
+        ],
+        GlobalSecondaryIndexes: [
+          {
+            IndexName: "email",
+            KeySchema: [{ AttributeName: "email", KeyType: "HASH" }],
+            Projection: { ProjectionType: "KEYS_ONLY" },
+          },
+        ],
+      })
+    );
+  });
+
+  const put = (item, extra = {}) =>
+    client.send(
+      new PutItemCommand({ TableName: table, Item: fromObject(item), ...extra })
+    );
+  const get = async (key) => {
+    const { Item } = await client.send(
+      new GetItemCommand({ TableName: table, Key: fromObject(key) })
+    );
+    return toObject(Item);
+  };
+  const rejects = async (promise, pattern) => {
+    try {
+      await promise;
+      expect.fail();
+    } catch (e) {
+      expect(e.message).to.match(pattern);
+      return e;
+    }
+  };
+
+  it("describes tables and rejects unknown ones", async () => {
+    await put({ pk: "a", sk: 1 });
+    const { Table } = await client.send(
+      new DescribeTableCommand({ TableName: table })
+    );
+    expect(Table.TableStatus).to.equal("ACTIVE");
+    expect(Table.ItemCount).to.equal(1);
+
+    const e = await rejects(
+      client.send(new DescribeTableCommand({ TableName: "missing" })),
+      /not found/
+    );
+    expect(e.name).to.equal("ResourceNotFoundException");
+  });
+
+  it("validates keys against the schema", async () => {
+    await rejects(put({ pk: "a" }), /Missing the key sk/);
+    await rejects(put({ pk: "a", sk: "1" }), /Missing the key sk/);
+    await rejects(get({ pk: "a" }), /does not match the schema/);
+    await rejects(
+      put({ pk: "a", sk: 1, email: 5 }),
+      /Type mismatch for Index Key email/
+    );
+  });
+
+  it("only checks index key types of items that belong in the index", async () => {
+    await client.send(
+      new CreateTableCommand({
+        TableName: "sparse",
+        KeySchema: [{ AttributeName: "pk", KeyType: "HASH" }],
+        AttributeDefinitions: [
+          { AttributeName: "pk", AttributeType: "S" },
+          { AttributeName: "owner", AttributeType: "S" },
+          { AttributeName: "rank", AttributeType: "N" },
+        ],
+        GlobalSecondaryIndexes: [
+          {
+            IndexName: "ranked",
+            KeySchema: [
+              { AttributeName: "owner", KeyType: "HASH" },
+              { AttributeName: "rank", KeyType: "RANGE" },
+            ],
+            Projection: { ProjectionType: "ALL" },
+          },
+        ],
+      })
+    );
+    const putSparse = (item) =>
+      client.send(
+        new PutItemCommand({ TableName: "sparse", Item: fromObject(item) })
+      );
+
+    await putSparse({ pk: "a", rank: "first" });
+    await rejects(
+      putSparse({ pk: "b", owner: "x", rank: "first" }),
+      /Type mismatch for Index Key rank/
+    );
+  });
+
+  it("returns copies of stored items", async () => {
+    const item = { pk: "a", sk: 1, tags: ["x"] };
+    await put(item);
+    const stored = await get({ pk: "a", sk: 1 });
+    stored.tags.push("y");
+
+    expect(await get({ pk: "a", sk: 1 })).to.deep.equal(item);
+  });
+
+  it("evaluates condition expressions", async () => {
+    await put({ pk: "a", sk: 1, count: 5, name: "shawn" });
+    const condition = (expression, values = {}) =>
+      put(
+        { pk: "a", sk: 1, count: 5, name: "shawn" },
+        {
+          ConditionExpression: expression,
+          ExpressionAttributeValues: fromObject(values),
+        }
+      );
+
+    await condition("attribute_exists(pk) AND count BETWEEN :a AND :b", {
+      ":a": 1,
+      ":b": 5,
+    });
+    await condition("begins_with(name, :p) OR NOT (count > :c)", {
+      ":p": "sha",
+      ":c": 1,
+    });
+    await condition("size(name) = :s AND count IN (:a, :b)", {
+      ":s": 5,
+      ":a": 4,
+      ":b": 5,
+    });
+    const e = await rejects(
+      condition("count < :c", { ":c": 5 }),
+      /conditional request failed/
+    );
+    expect(e.name).to.equal("ConditionalCheckFailedException");
+  });
+
+  it("rejects undefined and unused placeholders", async () => {
+    await rejects(
+      put({ pk: "a", sk: 1 }, { ConditionExpression: "#missing = :v" }),
+      /attribute name used in the document path is not defined/
+    );
+    await rejects(
+      put(
+        { pk: "a", sk: 1 },
+        {
+          ConditionExpression: "attribute_not_exists(pk)",
+          ExpressionAttributeValues: { ":unused": { S: "x" } },
+        }
+      ),
+      /unused in expressions: keys: {:unused}/
+    );
+    await rejects(
+      put({ pk: "a", sk: 1 }, { ConditionExpression: "pk = = :v" }),
+      /Invalid expression/
+    );
+  });
+
+  it("applies update expressions and returns values", async () => {
+    await put({ pk: "a", sk: 1, count: 1, tags: new Set(["x", "y"]) });
+
+    const { Attributes } = await client.send(
+      new UpdateItemCommand({
+        TableName: table,
+        Key: fromObject({ pk: "a", sk: 1 }),
+        UpdateExpression:
+          "SET #c = #c + :one, profile = :profile, list = list_append(if_not_exists(list, :empty), :items) " +
+          "REMOVE nothing ADD visits :one DELETE tags :x",
+        ExpressionAttributeNames: { "#c": "count" },
+        ExpressionAttributeValues: fromObject({
+          ":one": 1,
+          ":profile": { city: "Boston" },
+          ":empty": [],
+          ":items": ["a"],
+          ":x": new Set(["x"]),
+        }),
+        ReturnValues: "UPDATED_NEW",
+      })
+    );
+
+    expect(toObject(Attributes)).to.deep.equal({
+      count: 2,
+      profile: { city: "Boston" },
+      list: ["a"],
+      visits: 1,
+      tags: new Set(["y"]),
+    });
+
+    await rejects(
+      client.send(
+        new UpdateItemCommand({
+          TableName: table,
+          Key: fromObject({ pk: "a", sk: 1 }),
+          UpdateExpression: "SET sk = :v",
+          ExpressionAttributeValues: fromObject({ ":v": 2 }),
+        })
+      ),
+      /part of the key/
+    );
+    await rejects(
+      client.send(
+        new UpdateItemCommand({
+          TableName: table,
+          Key: fromObject({ pk: "a", sk: 1 }),
+          UpdateExpression: "SET a = :v, a.b = :v",
+          ExpressionAttributeValues: fromObject({ ":v": 2 }),
+        })
+      ),
+      /overlap/
+    );
+  });
+
+  it("returns old values from puts and deletes", async () => {
+    await put({ pk: "a", sk: 1, value: "old" });
+    const { Attributes } = await put(
+      { pk: "a", sk: 1, value: "new" },
+      { ReturnValues: "ALL_OLD" }
+    );
+    expect(toObject(Attributes).value).to.equal("old");
+
+    const deleted = await client.send(
+      new DeleteItemCommand({
+        TableName: table,
+        Key: fromObject({ pk: "a", sk: 1 }),
+        ReturnValues: "ALL_OLD",
+      })
+    );
+    expect(toObject(deleted.Attributes).value).to.equal("new");
+    expect(await get({ pk: "a", sk: 1 })).to.be.undefined;
+  });
+
+  describe("query", () => {
+    beforeEach(async () => {
+      for (let i = 0; i < 5; i++) {
+        await put({ pk: "a", sk: i, odd: i % 2 === 1, email: `${i}@x.com` });
+      }
+      await put({ pk: "b", sk: 0 });
+    });
+
+    const query = ({ values, ...params }) =>
+      client.send(
+        new QueryCommand({
+          TableName: table,
+          KeyConditionExpression: "pk = :pk AND sk >= :sk",
+          ...params,
+          ExpressionAttributeValues: fromObject({
+            ":pk": "a",
+            ":sk": 1,
+            ...values,
+          }),
+        })
+      );
+
+    it("orders by sort key and pages with LastEvaluatedKey", async () => {
+      const first = await query({ Limit: 2, ScanIndexForward: false });
+      expect(first.Items.map((item) => toObject(item).sk)).to.deep.equal([
+        4, 3,
+      ]);
+      expect(toObject(first.LastEvaluatedKey)).to.deep.equal({
+        pk: "a",
+        sk: 3,
+      });
+
+      const second = await query({
+        ScanIndexForward: false,
+        ExclusiveStartKey: first.LastEvaluatedKey,
+      });
+      expect(second.Items.map((item) => toObject(item).sk)).to.deep.equal([
+        2, 1,
+      ]);
+      expect(second.LastEvaluatedKey).to.be.undefined;
+    });
+
+    it("returns a LastEvaluatedKey when the limit ends on the last item", async () => {
+      const first = await query({ Limit: 4 });
+      expect(first.Items.length).to.equal(4);
+      expect(toObject(first.LastEvaluatedKey)).to.deep.equal({
+        pk: "a",
+        sk: 4,
+      });
+
+      const second = await query({ ExclusiveStartKey: first.LastEvaluatedKey });
+      expect(second.Items).to.deep.equal([]);
+      expect(second.LastEvaluatedKey).to.be.undefined;
+    });
+
+    it("filters after the limit is applied", async () => {
+      const response = await query({
+        Limit: 2,
+        FilterExpression: "odd = :odd",
+        values: { ":odd": true },
+      });
+      expect(response.Count).to.equal(1);
+      expect(response.ScannedCount).to.equal(2);
+      expect(response.LastEvaluatedKey).to.not.be.undefined;
+    });
+
+    it("counts without returning items", async () => {
+      const response = await query({ Select: "COUNT" });
+      expect(response.Count).to.equal(4);
+      expect(response.Items).to.be.undefined;
+    });
+
+    it("queries global indexes with their projection", async () => {
+      const { Items } = await client.send(
+        new QueryCommand({
+          TableName: table,
+          IndexName: "email",
+          KeyConditionExpression: "email = :email",
+          ExpressionAttributeValues: fromObject({ ":email": "3@x.com" }),
+        })
+      );
+      expect(Items.map((item) => toObject(item))).to.deep.equal([
+        { pk: "a", sk: 3, email: "3@x.com" },
+      ]);
+
+      await rejects(
+        client.send(
+          new QueryCommand({
+            TableName: table,
+            IndexName: "missing",
+            KeyConditionExpression: "pk = :pk",
+            ExpressionAttributeValues: fromObject({ ":pk": "a" }),
+          })
+        ),
+        /does not have the specified index/
+      );
+    });
+  });
+
+  describe("scan", () => {
+    it("splits items across segments and projects attributes", async () => {
+      for (let i = 0; i < 20; i++) {
+        await put({ pk: `key${i}`, sk: i, nested: { a: i, b: "x" } });
+      }
+      const segments = await Promise.all(
+        [0, 1, 2].map((Segment) =>
+          client.send(
+            new ScanCommand({
+              TableName: table,
+              Segment,
+              TotalSegments: 3,
+              ProjectionExpression: "pk, nested.a",
+            })
+          )
+        )
+      );
+      const items = segments.flatMap(({ Items }) =>
+        Items.map((item) => toObject(item))
+      );
+
+      expect(items.length).to.equal(20);
+      expect(items.find((item) => item.pk === "key3")).to.deep.equal({
+        pk: "key3",
+        nested: { a: 3 },
+      });
+    });
+  });
+
+  it("reads batches and rejects duplicate keys", async () => {
+    await put({ pk: "a", sk: 1 });
+    const batchGet = (keys) =>
+      client.send(
+        new BatchGetItemCommand({
+          RequestItems: {
+            [table]: { Keys: keys.map((key) => fromObject(key)) },
+          },
+        })
+      );
+
+    const { Responses } = await batchGet([
+      { pk: "a", sk: 1 },
+      { pk: "a", sk: 2 },
+    ]);
+    expect(Responses[table].length).to.equal(1);
+    await rejects(
+      batchGet([
+        { pk: "a", sk: 1 },
+        { pk: "a", sk: 1 },
+      ]),
+      /duplicates/
+    );
+  });
+
+  it("cancels transactions atomically with reasons", async () => {
+    await put({ pk: "a", sk: 1, value: "old" });
+    const e = await rejects(
+      client.send(
+        new TransactWriteItemsCommand({
+          TransactItems: [
+            { Put: { TableName: table, Item: fromObject({ pk: "b", sk: 1 }) } },
+            {
+              ConditionCheck: {
+                TableName: table,
+                Key: fromObject({ pk: "a", sk: 1 }),
+                ConditionExpression: "#v = :v",
+                ExpressionAttributeNames: { "#v": "value" },
+                ExpressionAttributeValues: fromObject({ ":v": "new" }),
+                ReturnValuesOnConditionCheckFailure: "ALL_OLD",
+              },
+            },
+          ],
+        })
+      ),
+      /Transaction cancelled.*\[None, ConditionalCheckFailed\]/
+    );
+    expect(e.name).to.equal("TransactionCanceledException");
+    expect(toObject(e.CancellationReasons[1].Item).value).to.equal("old");
+    expect(await get({ pk: "b", sk: 1 })).to.be.undefined;
+  });
+
+  it("honors abort signals", async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const e = await rejects(
+      client.send(new DescribeTableCommand({ TableName: table }), {
+        abortSignal: controller.signal,
+      }),
+      /aborted/
+    );
+    expect(e.name).to.equal("AbortError");
+  });
+});
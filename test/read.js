@@ -0,0 +1,383 @@
+const Cache = require("../Cache");
+const MemoryClient = require("../MemoryClient");
+const { stubClient } = require("./stub");
+const { expect } = require("chai");
+
+const table = "orders";
+
+describe("Cache read options", () => {
+  let cache;
+  beforeEach(async () => {
+    cache = new Cache(new MemoryClient(), { memory: { [table]: {} } });
+    await cache.createTable({
+      table,
+      keys: { hash: "customer", range: "id" },
+      attributeTypes: { id: "N" },
+    });
+    const items = [];
+    for (let i = 0; i < 10; i++) {
+      items.push({
+        customer: "a",
+        id: i,
+        total: i * 10,
+        status: i % 2 ? "open" : "closed",
+        address: { city: "Boston", zip: "02110" },
+      });
+    }
+    await cache.putMany({ table, items });
+  });
+
+  describe("attributes", () => {
+    it("projects getOne without touching the memory cache", async () => {
+      const item = await cache.getOne({
+        table,
+        match: { customer: "a", id: 1 },
+        attributes: ["total", "address.city"],
+      });
+
+      expect(item).to.deep.equal({ total: 10, address: { city: "Boston" } });
+      expect(cache.memoryStats({ table }).size).to.equal(0);
+    });
+
+    it("projects getMany like getOne while still ordering by key", async () => {
+      const items = await cache.getMany({
+        table,
+        matches: [
+          { customer: "a", id: 2 },
+          { customer: "a", id: 1 },
+        ],
+        attributes: ["total"],
+        ordered: true,
+      });
+
+      expect(items).to.deep.equal([{ total: 20 }, { total: 10 }]);
+
+      const unordered = await cache.getMany({
+        table,
+        matches: [{ customer: "a", id: 3 }],
+        attributes: ["total", "id"],
+      });
+      expect(unordered).to.deep.equal([{ id: 3, total: 30 }]);
+    });
+
+    it("projects query and queryPage", async () => {
+      const items = await cache.query({
+        table,
+        match: { customer: "a" },
+        range: { id: { "<": 2 } },
+        attributes: ["id"],
+      });
+      expect(items).to.deep.equal([{ id: 0 }, { id: 1 }]);
+
+      const page = await cache.queryPage({
+        table,
+        match: { customer: "a" },
+        attributes: ["status"],
+        limit: 1,
+      });
+      expect(page.items).to.deep.equal([{ status: "closed" }]);
+    });
+    it("projects transactGet per operation", async () => {
+      const items = await cache.transactGet([
+        { table, match: { customer: "a", id: 1 }, attributes: ["total"] },
+        { table, match: { customer: "a", id: 2 } },
+      ]);
+
+      expect(items[0]).to.deep.equal({ total: 10 });
+      expect(items[1].status).to.equal("closed");
+    });
+  });
+
+  describe("count", () => {
+    it("counts every matching item across pages", async () => {
+      expect(
+        await cache.query({
+          table,
+          match: { customer: "a" },
+          filter: { status: "open" },
+          limit: 3,
+          count: true,
+        })
+      ).to.equal(5);
+      expect(
+        await cache.scan({ table, count: true, segments: 2, limit: 4 })
+      ).to.equal(10);
+    });
+
+    it("counts in as few requests as possible unless given a limit", async () => {
+      const queries = [];
+      const send = cache.client.send.bind(cache.client);
+      cache.client.send = (cmd, options) => {
+        if (cmd.constructor.name === "QueryCommand") {
+          queries.push(cmd.input);
+        }
+        return send(cmd, options);
+      };
+
+      expect(
+        await cache.query({ table, match: { customer: "a" }, count: true })
+      ).to.equal(10);
+      expect(queries.length).to.equal(1);
+      expect(queries[0].Limit).to.be.undefined;
+    });
+
+    it("returns page totals from queryPage and scanPage", async () => {
+      const page = await cache.queryPage({
+        table,
+        match: { customer: "a" },
+        filter: { status: "open" },
+        limit: 4,
+        count: true,
+      });
+      expect(page.count).to.equal(2);
+      expect(page.scannedCount).to.equal(4);
+      expect(page.lastKey).to.not.be.undefined;
+      expect(page).to.not.have.property("items");
+
+      const scanned = await cache.scanPage({ table, count: true });
+      expect(scanned).to.deep.equal({
+        count: 10,
+        scannedCount: 10,
+        lastKey: undefined,
+      });
+    });
+  });
+
+  describe("maxItems", () => {
+    it("stops once enough matching items were collected", async () => {
+      const queries = [];
+      const send = cache.client.send.bind(cache.client);
+      cache.client.send = (cmd, options) => {
+        if (cmd.constructor.name === "QueryCommand") {
+          queries.push(cmd);
+        }
+        return send(cmd, options);
+      };
+
+      const { items } = await cache.query({
+        table,
+        match: { customer: "a" },
+        filter: { status: "open" },
+        limit: 2,
+        maxItems: 3,
+      });
+
+      expect(items.map(({ id }) => id)).to.deep.equal([1, 3, 5]);
+      expect(queries.length).to.equal(3);
+    });
+
+    it("returns the items and where to resume after the last one", async () => {
+      const params = {
+        table,
+        match: { customer: "a" },
+        filter: { status: "open" },
+        maxItems: 3,
+      };
+      const first = await cache.query(params);
+      expect(first.items.map(({ id }) => id)).to.deep.equal([1, 3, 5]);
+      expect(first.lastKey).to.deep.equal({
+        customer: { S: "a" },
+        id: { N: "5" },
+      });
+
+      const rest = await cache.query({ ...params, lastKey: first.lastKey });
+      expect(rest.items.map(({ id }) => id)).to.deep.equal([7, 9]);
+      expect(rest.lastKey).to.be.undefined;
+
+      cache.cursorSecret = "s3cret";
+      const { cursor } = await cache.query(params);
+      const resumed = await cache.query({ ...params, cursor, maxItems: 10 });
+      expect(resumed.items.map(({ id }) => id)).to.deep.equal([7, 9]);
+      const remaining = await cache.query({
+        table,
+        match: { customer: "a" },
+        filter: { status: "open" },
+        cursor,
+      });
+      expect(remaining.map(({ id }) => id)).to.deep.equal([7, 9]);
+    });
+  });
+
+  describe("pageSize", () => {
+    const page = (params) =>
+      cache.queryPage({
+        table,
+        match: { customer: "a" },
+        filter: { status: "open" },
+        limit: 3,
+        pageSize: 2,
+        ...params,
+      });
+
+    it("fills pages with filtered items and resumes after the last one", async () => {
+      const first = await page();
+      expect(first.items.map(({ id }) => id)).to.deep.equal([1, 3]);
+      expect(first.lastKey).to.deep.equal({
+        customer: { S: "a" },
+        id: { N: "3" },
+      });
+
+      const second = await page({ lastKey: first.lastKey });
+      expect(second.items.map(({ id }) => id)).to.deep.equal([5, 7]);
+
+      const third = await page({ lastKey: second.lastKey });
+      expect(third.items.map(({ id }) => id)).to.deep.equal([9]);
+      expect(third.lastKey).to.be.undefined;
+    });
+
+    it("resumes with an empty page when a page ends on the last item", async () => {
+      const first = await page({ filter: undefined, pageSize: 5 });
+      const second = await page({
+        filter: undefined,
+        pageSize: 5,
+        lastKey: first.lastKey,
+      });
+      expect(second.items.map(({ id }) => id)).to.deep.equal([5, 6, 7, 8, 9]);
+      expect(second.lastKey).to.not.be.undefined;
+
+      const third = await page({
+        filter: undefined,
+        pageSize: 5,
+        lastKey: second.lastKey,
+      });
+      expect(third.items).to.deep.equal([]);
+      expect(third.lastKey).to.be.undefined;
+    });
+
+    it("returns only the projected attributes, like plain pages", async () => {
+      const params = {
+        table,
+        match: { customer: "a" },
+        attributes: ["total"],
+        limit: 2,
+      };
+      const plain = await cache.queryPage(params);
+      const filled = await cache.queryPage({ ...params, pageSize: 2 });
+
+      expect(filled.items).to.deep.equal(plain.items);
+      expect(filled.items).to.deep.equal([{ total: 0 }, { total: 10 }]);
+      expect(filled.lastKey).to.deep.equal({
+        customer: { S: "a" },
+        id: { N: "1" },
+      });
+    });
+
+    it("signs cursors that plain pages with the same projection accept", async () => {
+      cache.cursorSecret = "s3cret";
+      const first = await page({ attributes: ["total"] });
+      const plain = await cache.queryPage({
+        table,
+        match: { customer: "a" },
+        filter: { status: "open" },
+        attributes: ["total"],
+        cursor: first.cursor,
+      });
+      expect(plain.items).to.deep.equal([
+        { total: 50 },
+        { total: 70 },
+        { total: 90 },
+      ]);
+
+      const { cursor } = await cache.queryPage({
+        table,
+        match: { customer: "a" },
+        filter: { status: "open" },
+        attributes: ["total"],
+        limit: 2,
+      });
+      const filled = await page({ attributes: ["total"], cursor });
+      expect(filled.items).to.deep.equal([{ total: 30 }, { total: 50 }]);
+    });
+
+    it("returns signed cursors pointing at the last item", async () => {
+      cache.cursorSecret = "s3cret";
+      const first = await page();
+      const second = await page({ cursor: first.cursor });
+
+      expect(second.items.map(({ id }) => id)).to.deep.equal([5, 7]);
+      expect(second).to.not.have.property("lastKey");
+    });
+  });
+
+  describe("returnConsumedCapacity", () => {
+    let reports;
+    let sent;
+    beforeEach(() => {
+      reports = [];
+      cache = new Cache(
+        {},
+        {
+          returnConsumedCapacity: true,
+          onConsumedCapacity: (report) => reports.push(report),
+        }
+      );
+      sent = stubClient(cache, (cmd) => {
+        const ConsumedCapacity = {
+          TableName: table,
+          CapacityUnits: 1.5,
+          ReadCapacityUnits: 1.5,
+          GlobalSecondaryIndexes: { byStatus: { CapacityUnits: 1 } },
+        };
+        switch (cmd.constructor.name) {
+          case "GetItemCommand":
+            return { Item: cmd.input.Key, ConsumedCapacity };
+          case "BatchWriteItemCommand":
+            return {
+              ConsumedCapacity: [
+                { TableName: table, CapacityUnits: 2 },
+                { TableName: "other", CapacityUnits: 1 },
+              ],
+            };
+          default:
+            return {};
+        }
+      });
+    });
+
+    it("requests and reports consumed capacity per call", async () => {
+      await cache.getOne({ table, match: { customer: "a", id: 1 } });
+      await cache.putMany({ table, items: [{ customer: "a", id: 1 }] });
+
+      expect(sent.map((cmd) => cmd.input.ReturnConsumedCapacity)).to.deep.equal(
+        ["TOTAL", "TOTAL"]
+      );
+      expect(reports).to.deep.equal([
+        {
+          operation: "GetItem",
+          table,
+          capacityUnits: 1.5,
+          readCapacityUnits: 1.5,
+          writeCapacityUnits: undefined,
+          indexes: { byStatus: 1 },
+        },
+        {
+          operation: "BatchWriteItem",
+          table,
+          capacityUnits: 2,
+          readCapacityUnits: undefined,
+          writeCapacityUnits: undefined,
+          indexes: {},
+        },
+        {
+          operation: "BatchWriteItem",
+          table: "other",
+          capacityUnits: 1,
+          readCapacityUnits: undefined,
+          writeCapacityUnits: undefined,
+          indexes: {},
+        },
+      ]);
+    });
+
+    it("requires a callback to report to", () => {
+      expect(() => new Cache({}, { returnConsumedCapacity: true })).to.throw(
+        /onConsumedCapacity/
+      );
+    });
+
+    it("leaves table management commands alone", async () => {
+      await cache.describeTtl({ table });
+      expect(sent[0].input).to.not.have.property("ReturnConsumedCapacity");
+    });
+  });
+});
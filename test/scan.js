@@ -0,0 +1,93 @@
+const Cache = require("../Cache");
+const { fromObject } = require("../Item");
+const { stubClient } = require("./stub");
+const { expect } = require("chai");
+
+const table = "tests";
+const primaryKey = "primary_key";
+
+describe("Cache scan", () => {
+  let cache;
+  let sent;
+  beforeEach(() => {
+    cache = new Cache({});
+    sent = stubClient(cache, (cmd) => {
+      const { Segment = 0, ExclusiveStartKey } = cmd.input;
+      const page = ExclusiveStartKey ? 1 : 0;
+      return {
+        Items: [fromObject({ [primaryKey]: `key${Segment}-${page}` })],
+        LastEvaluatedKey: page === 0 ? fromObject({ page }) : undefined,
+      };
+    });
+  });
+
+  describe("scan", () => {
+    it("scans every segment in parallel", async () => {
+      const items = await cache.scan({ table, segments: 3, workers: 2 });
+
+      expect(sent.length).to.equal(6);
+      expect(sent.map(({ input }) => input.TotalSegments)).to.deep.equal([
+        3, 3, 3, 3, 3, 3,
+      ]);
+      expect(items.map((item) => item[primaryKey]).sort()).to.deep.equal([
+        "key0-0",
+        "key0-1",
+        "key1-0",
+        "key1-1",
+        "key2-0",
+        "key2-1",
+      ]);
+    });
+
+    it("does not set Segment for a single segment scan", async () => {
+      const items = await cache.scan({ table });
+
+      expect(items.length).to.equal(2);
+      expect(sent[0].input.Segment).to.be.undefined;
+      expect(sent[0].input.TotalSegments).to.be.undefined;
+    });
+
+    it("hands pages to onPage instead of collecting them", async () => {
+      const pages = [];
+      const result = await cache.scan({
+        table,
+        segments: 2,
+        onPage: async (items, { segment }) => pages.push({ items, segment }),
+      });
+
+      expect(result).to.be.undefined;
+      expect(pages.length).to.equal(4);
+    });
+  });
+
+  describe("scanPage", () => {
+    it("sends filters, projections and the index name", async () => {
+      const page = await cache.scanPage({
+        table,
+        indexName: "secondary_key",
+        filter: { favorite: { "=": true } },
+        attributes: [primaryKey, "favorite"],
+        limit: 10,
+        segment: 1,
+        totalSegments: 4,
+      });
+
+      expect(sent[0].input).to.deep.include({
+        TableName: table,
+        IndexName: "secondary_key",
+        Limit: 10,
+        Segment: 1,
+        TotalSegments: 4,
+        Select: "SPECIFIC_ATTRIBUTES",
+        ProjectionExpression: "#n0, #n1",
+        FilterExpression: "#n1 = :v0",
+        ExpressionAttributeNames: { "#n0": primaryKey, "#n1": "favorite" },
+        ExpressionAttributeValues: { ":v0": { BOOL: true } },
+      });
+      expect(page).to.deep.equal({
+        items: [{ [primaryKey]: "key1-0" }],
+        lastKey: fromObject({ page: 0 }),
+      });
+    });
+  });
+});
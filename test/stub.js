@@ -0,0 +1,22 @@
+function stubClient(cache, handler = () => ({}), { keys } = {}) {
+  const sent = [];
+  cache.client = {
+    send: async (cmd, options) => {
+      if (keys && cmd.constructor.name === "DescribeTableCommand") {
+        return {
+          Table: {
+            KeySchema: keys.map((AttributeName, i) => ({
+              AttributeName,
+              KeyType: i === 0 ? "HASH" : "RANGE",
+            })),
+          },
+        };
+      }
+      sent.push(cmd);
+      return handler(cmd, sent.length - 1, options);
+    },
+  };
+  return sent;
+}
+
+module.exports = { stubClient };
@@ -0,0 +1,181 @@
+const Cache = require("../Cache");
+const { stubClient } = require("./stub");
+const { expect } = require("chai");
+
+const table = "tests";
+
+describe("Cache table management", () => {
+  let cache;
+  let sent;
+  beforeEach(() => {
+    cache = new Cache({});
+    sent = stubClient(cache, (cmd) => {
+      switch (cmd.constructor.name) {
+        case "DescribeTableCommand":
+          if (sent.some((c) => c.constructor.name === "DeleteTableCommand")) {
+            const error = new Error("Requested resource not found");
+            error.name = "ResourceNotFoundException";
+            throw error;
+          }
+          return { Table: { TableName: table, TableStatus: "ACTIVE" } };
+        case "DescribeTimeToLiveCommand":
+          return {
+            TimeToLiveDescription: {
+              TimeToLiveStatus: "ENABLED",
+              AttributeName: "expires_at",
+            },
+          };
+        case "UpdateTimeToLiveCommand":
+          return {
+            TimeToLiveSpecification: cmd.input.TimeToLiveSpecification,
+          };
+        default:
+          return { TableDescription: { TableName: table } };
+      }
+    });
+  });
+
+  describe("createTable", () => {
+    it("builds a table with global and local indexes and waits for it", async () => {
+      const description = await cache.createTable({
+        table,
+        keys: { hash: "pk", range: "sk" },
+        attributeTypes: { sk: "N", gsi_sort: "N" },
+        globalIndexes: [
+          { name: "by_gsi", hash: "gsi_pk", range: "gsi_sort" },
+          { name: "by_owner", hash: "owner", projection: "KEYS_ONLY" },
+        ],
+        localIndexes: [
+          { name: "by_created", range: "created", projection: ["title"] },
+        ],
+      });
+
+      expect(description).to.deep.equal({
+        TableName: table,
+        TableStatus: "ACTIVE",
+      });
+      expect(sent.map((cmd) => cmd.constructor.name)).to.deep.equal([
+        "CreateTableCommand",
+        "DescribeTableCommand",
+        "DescribeTableCommand",
+      ]);
+      expect(sent[0].input).to.deep.equal({
+        TableName: table,
+        KeySchema: [
+          { AttributeName: "pk", KeyType: "HASH" },
+          { AttributeName: "sk", KeyType: "RANGE" },
+        ],
+        BillingMode: "PAY_PER_REQUEST",
+        ProvisionedThroughput: undefined,
+        GlobalSecondaryIndexes: [
+          {
+            IndexName: "by_gsi",
+            KeySchema: [
+              { AttributeName: "gsi_pk", KeyType: "HASH" },
+              { AttributeName: "gsi_sort", KeyType: "RANGE" },
+            ],
+            Projection: { ProjectionType: "ALL" },
+            ProvisionedThroughput: undefined,
+          },
+          {
+            IndexName: "by_owner",
+            KeySchema: [{ AttributeName: "owner", KeyType: "HASH" }],
+            Projection: { ProjectionType: "KEYS_ONLY" },
+            ProvisionedThroughput: undefined,
+          },
+        ],
+        LocalSecondaryIndexes: [
+          {
+            IndexName: "by_created",
+            KeySchema: [
+              { AttributeName: "pk", KeyType: "HASH" },
+              { AttributeName: "created", KeyType: "RANGE" },
+            ],
+            Projection: {
+              ProjectionType: "INCLUDE",
+              NonKeyAttributes: ["title"],
+            },
+          },
+        ],
+        AttributeDefinitions: [
+          { AttributeName: "pk", AttributeType: "S" },
+          { AttributeName: "sk", AttributeType: "N" },
+          { AttributeName: "gsi_pk", AttributeType: "S" },
+          { AttributeName: "gsi_sort", AttributeType: "N" },
+          { AttributeName: "owner", AttributeType: "S" },
+          { AttributeName: "created", AttributeType: "S" },
+        ],
+      });
+    });
+
+    it("sets provisioned throughput on the table and its indexes", async () => {
+      await cache.createTable({
+        table,
+        keys: { hash: "pk" },
+        globalIndexes: [
+          {
+            name: "by_owner",
+            hash: "owner",
+            throughput: { read: 1, write: 2 },
+          },
+        ],
+        billingMode: "PROVISIONED",
+        throughput: { read: 5, write: 10 },
+        wait: false,
+      });
+
+      expect(sent.length).to.equal(1);
+      expect(sent[0].input.ProvisionedThroughput).to.deep.equal({
+        ReadCapacityUnits: 5,
+        WriteCapacityUnits: 10,
+      });
+      expect(
+        sent[0].input.GlobalSecondaryIndexes[0].ProvisionedThroughput
+      ).to.deep.equal({ ReadCapacityUnits: 1, WriteCapacityUnits: 2 });
+    });
+
+    it("requires throughput for provisioned tables", async () => {
+      try {
+        await cache.createTable({
+          table,
+          keys: { hash: "pk" },
+          billingMode: "PROVISIONED",
+        });
+        expect.fail();
+      } catch (e) {
+        expect(e.message).to.match(/require a throughput/);
+      }
+    });
+  });
+
+  describe("deleteTable", () => {
+    it("deletes a table and waits until it is gone", async () => {
+      await cache.deleteTable({ table });
+
+      expect(sent.map((cmd) => cmd.constructor.name)).to.deep.equal([
+        "DeleteTableCommand",
+        "DescribeTableCommand",
+      ]);
+    });
+  });
+
+  describe("ttl", () => {
+    it("enables ttl on an attribute", async () => {
+      const spec = await cache.enableTtl({ table, attribute: "expires_at" });
+
+      expect(sent[0].input).to.deep.equal({
+        TableName: table,
+        TimeToLiveSpecification: { AttributeName: "expires_at", Enabled: true },
+      });
+      expect(spec).to.deep.equal({
+        AttributeName: "expires_at",
+        Enabled: true,
+      });
+    });
+
+    it("describes ttl settings", async () => {
+      const ttl = await cache.describeTtl({ table });
+      expect(ttl).to.deep.equal({ status: "ENABLED", attribute: "expires_at" });
+    });
+  });
+});
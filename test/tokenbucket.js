@@ -0,0 +1,109 @@
+const Cache = require("../Cache");
+const TokenBucket = require("../TokenBucket");
+const { stubClient } = require("./stub");
+const { expect } = require("chai");
+
+const table = "tests";
+
+describe("TokenBucket", () => {
+  it("serves a burst immediately and then waits for refills", async () => {
+    const bucket = new TokenBucket({ rate: 1000, burst: 10 });
+    const start = Date.now();
+    await bucket.take(10);
+    expect(Date.now() - start).to.be.below(10);
+
+    await bucket.take(20);
+    expect(Date.now() - start).to.be.at.least(18);
+  });
+
+  it("grants takes in the order they were requested", async () => {
+    const bucket = new TokenBucket({ rate: 1000, burst: 1 });
+    const order = [];
+    await Promise.all(
+      [1, 2, 3].map((i) => bucket.take(2).then(() => order.push(i)))
+    );
+    expect(order).to.deep.equal([1, 2, 3]);
+  });
+
+  it("charges extra units against the next take", async () => {
+    const bucket = new TokenBucket({ rate: 1000, burst: 10 });
+    const start = Date.now();
+    await bucket.take(10);
+    bucket.charge(20);
+
+    await bucket.take(1);
+    expect(Date.now() - start).to.be.at.least(19);
+  });
+
+  it("requires a positive rate and burst", () => {
+    expect(() => new TokenBucket({ rate: 0 })).to.throw(/rate/);
+    expect(() => new TokenBucket({ rate: 1, burst: -1 })).to.throw(/burst/);
+  });
+});
+
+describe("Cache capacity limits", () => {
+  it("shares write capacity across batch operations", async () => {
+    const cache = new Cache({}, { writeCapacity: 1000 });
+    stubClient(cache);
+    const items = [];
+    for (let i = 0; i < 1050; i++) {
+      items.push({ id: `key${i}` });
+    }
+    const start = Date.now();
+
+    await Promise.all([
+      cache.putMany({ table, items: items.slice(0, 525) }),
+      cache.deleteMany({ table, items: items.slice(525) }),
+    ]);
+
+    expect(Date.now() - start).to.be.at.least(45);
+  });
+
+  it("limits batch reads by the number of keys", async () => {
+    const cache = new Cache({}, { readCapacity: 1000 });
+    stubClient(cache, (cmd) => ({
+      Responses: { [table]: cmd.input.RequestItems[table].Keys },
+    }));
+    const matches = [];
+    for (let i = 0; i < 1030; i++) {
+      matches.push({ id: `key${i}` });
+    }
+    const start = Date.now();
+
+    const items = await cache.getMany({ table, matches, concurrency: 3 });
+
+    expect(items.length).to.equal(1030);
+    expect(Date.now() - start).to.be.at.least(25);
+  });
+
+  it("charges the capacity DynamoDB reports for single writes", async () => {
+    const cache = new Cache({}, { writeCapacity: 100 });
+    const sent = stubClient(cache, () => ({
+      ConsumedCapacity: { TableName: table, CapacityUnits: 103 },
+    }));
+    const start = Date.now();
+
+    await cache.putOne({ table, item: { id: "a", blob: "x".repeat(100000) } });
+    await cache.updateOne({ table, match: { id: "a" }, update: { n: 1 } });
+
+    expect(Date.now() - start).to.be.at.least(35);
+    expect(sent[0].input.ReturnConsumedCapacity).to.equal("TOTAL");
+  });
+
+  it("limits single reads and queries with the read capacity", async () => {
+    const cache = new Cache({}, { readCapacity: 100 });
+    stubClient(cache, (cmd) =>
+      cmd.constructor.name === "QueryCommand" ? { Items: [] } : {}
+    );
+    const start = Date.now();
+
+    for (let i = 0; i < 100; i++) {
+      await cache.getOne({ table, match: { id: `key${i}` } });
+    }
+    for (let i = 0; i < 5; i++) {
+      await cache.query({ table, match: { id: "a" }, indexName: null });
+    }
+
+    expect(Date.now() - start).to.be.at.least(45);
+  });
+});
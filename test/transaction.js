@@ -0,0 +1,182 @@
+const Cache = require("../Cache");
+const { TransactionCanceledError } = require("../Errors");
+const { fromObject } = require("../Item");
+const { stubClient } = require("./stub");
+const { expect } = require("chai");
+const { TransactionCanceledException } = require("@aws-sdk/client-dynamodb");
+
+const table = "tests";
+const primaryKey = "primary_key";
+
+describe("Cache transactions", () => {
+  let cache;
+  let sent;
+  beforeEach(() => {
+    cache = new Cache({});
+  });
+
+  describe("transactWrite", () => {
+    it("builds put, update, delete and conditionCheck items", async () => {
+      sent = stubClient(cache, () => ({}));
+
+      await cache.transactWrite([
+        {
+          put: {
+            table,
+            item: { [primaryKey]: "a", something: "other" },
+            condition: { [primaryKey]: { exists: false } },
+          },
+        },
+        {
+          update: {
+            table,
+            match: { [primaryKey]: "b" },
+            update: { something: "new" },
+            condition: { something: { "=": "old" } },
+          },
+        },
+        { delete: { table, match: { [primaryKey]: "c" } } },
+        {
+          conditionCheck: {
+            table,
+            match: { [primaryKey]: "d" },
+            condition: { locked: false },
+          },
+        },
+      ]);
+
+      expect(sent[0].input.TransactItems).to.deep.equal([
+        {
+          Put: {
+            TableName: table,
+            Item: fromObject({ [primaryKey]: "a", something: "other" }),
+            ConditionExpression: "attribute_not_exists(#n0)",
+            ExpressionAttributeNames: { "#n0": primaryKey },
+          },
+        },
+        {
+          Update: {
+            TableName: table,
+            Key: fromObject({ [primaryKey]: "b" }),
+            UpdateExpression: "SET #n0 = :v0",
+            ConditionExpression: "#n0 = :v1",
+            ExpressionAttributeNames: { "#n0": "something" },
+            ExpressionAttributeValues: {
+              ":v0": { S: "new" },
+              ":v1": { S: "old" },
+            },
+          },
+        },
+        {
+          Delete: {
+            TableName: table,
+            Key: fromObject({ [primaryKey]: "c" }),
+          },
+        },
+        {
+          ConditionCheck: {
+            TableName: table,
+            Key: fromObject({ [primaryKey]: "d" }),
+            ConditionExpression: "#n0 = :v0",
+            ExpressionAttributeNames: { "#n0": "locked" },
+            ExpressionAttributeValues: { ":v0": { BOOL: false } },
+          },
+        },
+      ]);
+    });
+
+    it("rejects unknown operations and condition checks without conditions", async () => {
+      sent = stubClient(cache, () => ({}));
+
+      try {
+        await cache.transactWrite([{ upsert: { table } }]);
+        expect.fail();
+      } catch (e) {
+        expect(e.message).to.match(/Unsupported transaction operation/);
+      }
+
+      try {
+        await cache.transactWrite([
+          { conditionCheck: { table, match: { [primaryKey]: "a" } } },
+        ]);
+        expect.fail();
+      } catch (e) {
+        expect(e.message).to.match(/require a condition/);
+      }
+      expect(sent.length).to.equal(0);
+    });
+
+    it("throws a TransactionCanceledError describing the failed operation", async () => {
+      sent = stubClient(cache, () => {
+        throw new TransactionCanceledException({
+          $metadata: {},
+          message: "Transaction cancelled",
+          CancellationReasons: [
+            { Code: "None" },
+            {
+              Code: "ConditionalCheckFailed",
+              Message: "The conditional request failed",
+              Item: fromObject({ [primaryKey]: "b", something: "other" }),
+            },
+          ],
+        });
+      });
+
+      try {
+        await cache.transactWrite([
+          { delete: { table, match: { [primaryKey]: "a" } } },
+          {
+            update: {
+              table,
+              match: { [primaryKey]: "b" },
+              update: { something: "new" },
+              condition: { something: { "=": "old" } },
+              returnValuesOnConditionCheckFailure: "ALL_OLD",
+            },
+          },
+        ]);
+        expect.fail();
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(TransactionCanceledError);
+        expect(e.message).to.match(
+          /operation 1 \(update on tests\): ConditionalCheckFailed/
+        );
+        expect(e.reasons).to.deep.equal([
+          {
+            index: 1,
+            type: "update",
+            table,
+            code: "ConditionalCheckFailed",
+            message: "The conditional request failed",
+            item: { [primaryKey]: "b", something: "other" },
+          },
+        ]);
+      }
+    });
+  });
+
+  describe("transactGet", () => {
+    it("returns plain objects in request order", async () => {
+      sent = stubClient(cache, () => ({
+        Responses: [
+          { Item: fromObject({ [primaryKey]: "a", something: "other" }) },
+          {},
+        ],
+      }));
+
+      const items = await cache.transactGet([
+        { table, match: { [primaryKey]: "a" } },
+        { table, match: { [primaryKey]: "b" } },
+      ]);
+
+      expect(sent[0].input.TransactItems).to.deep.equal([
+        { Get: { TableName: table, Key: fromObject({ [primaryKey]: "a" }) } },
+        { Get: { TableName: table, Key: fromObject({ [primaryKey]: "b" }) } },
+      ]);
+      expect(items).to.deep.equal([
+        { [primaryKey]: "a", something: "other" },
+        undefined,
+      ]);
+    });
+  });
+});
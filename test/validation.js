@@ -0,0 +1,202 @@
+const Cache = require("../Cache");
+const MemoryClient = require("../MemoryClient");
+const { REMOVE } = require("../Item");
+const { ValidationError } = require("../Errors");
+const { expect } = require("chai");
+
+const table = "users";
+
+describe("Cache validation", () => {
+  let cache;
+  beforeEach(async () => {
+    cache = new Cache(new MemoryClient(), {
+      validation: {
+        [table]: {
+          attributes: {
+            id: { type: "string", required: true },
+            age: { type: "number", validate: (age) => age >= 0 },
+            role: { enum: ["admin", "member"], default: "member" },
+            email: {
+              type: "string",
+              validate: (email) => email.includes("@") || "must be an email",
+            },
+            tags: { type: "set", default: () => new Set(["new"]) },
+          },
+          timestamps: true,
+        },
+      },
+    });
+    await cache.createTable({ table, keys: { hash: "id" } });
+  });
+
+  const rejects = async (promise) => {
+    try {
+      await promise;
+      expect.fail();
+    } catch (e) {
+      expect(e).to.be.instanceOf(ValidationError);
+      expect(e.table).to.equal(table);
+      return e;
+    }
+  };
+
+  it("applies defaults and timestamps on put", async () => {
+    const before = Date.now();
+    await cache.putOne({ table, item: { id: "a", age: 3 } });
+    const item = await cache.getOne({ table, match: { id: "a" } });
+
+    expect(item).to.include({ id: "a", age: 3, role: "member" });
+    expect(item.tags).to.deep.equal(new Set(["new"]));
+    expect(Date.parse(item.createdAt)).to.be.at.least(before);
+    expect(item.updatedAt).to.equal(item.createdAt);
+  });
+
+  it("keeps a createdAt the caller supplies", async () => {
+    const createdAt = new Date("2022-01-01T00:00:00.000Z");
+    await cache.putOne({ table, item: { id: "a", createdAt } });
+    const item = await cache.getOne({ table, match: { id: "a" } });
+
+    expect(item.createdAt).to.equal(createdAt.toISOString());
+    expect(item.updatedAt).to.not.equal(item.createdAt);
+  });
+
+  it("stamps a new createdAt when a put replaces an item", async () => {
+    const createdAt = new Date("2022-01-01T00:00:00.000Z");
+    await cache.putOne({ table, item: { id: "a", createdAt } });
+    await cache.updateOne({ table, match: { id: "a" }, update: { age: 4 } });
+    const updated = await cache.getOne({ table, match: { id: "a" } });
+    expect(updated.createdAt).to.equal(createdAt.toISOString());
+
+    await cache.putOne({ table, item: { id: "a", age: 5 } });
+    const replaced = await cache.getOne({ table, match: { id: "a" } });
+    expect(replaced.createdAt).to.not.equal(createdAt.toISOString());
+    expect(replaced.createdAt).to.equal(replaced.updatedAt);
+  });
+
+  it("aggregates field errors into one error", async () => {
+    const e = await rejects(
+      cache.putOne({
+        table,
+        item: { age: "3", role: "owner", email: "nope" },
+      })
+    );
+
+    expect(e.errors).to.deep.equal([
+      { field: "id", message: "id is required" },
+      { field: "age", message: "age must be of type number" },
+      { field: "role", message: "role must be one of admin, member" },
+      { field: "email", message: "email must be an email" },
+    ]);
+    expect(e.message).to.equal(
+      "Invalid users item: id is required, age must be of type number, " +
+        "role must be one of admin, member, email must be an email"
+    );
+    expect(await cache.getOne({ table, match: { id: "a" } })).to.be.undefined;
+  });
+
+  it("reports custom validator failures", async () => {
+    const e = await rejects(
+      cache.putOne({ table, item: { id: "a", age: -1 } })
+    );
+    expect(e.errors).to.deep.equal([
+      { field: "age", message: "age is invalid" },
+    ]);
+  });
+
+  it("validates every item before a batch write", async () => {
+    const e = await rejects(
+      cache.putMany({
+        table,
+        items: [{ id: "a" }, { id: 2 }, { id: "c", age: NaN }],
+      })
+    );
+
+    expect(e.errors).to.deep.equal([
+      { field: "id", message: "id must be of type string", index: 1 },
+      { field: "age", message: "age must be of type number", index: 2 },
+    ]);
+    expect(await cache.getOne({ table, match: { id: "a" } })).to.be.undefined;
+
+    await cache.putMany({ table, items: [{ id: "a" }, { id: "b" }] });
+    const item = await cache.getOne({ table, match: { id: "b" } });
+    expect(item.role).to.equal("member");
+  });
+
+  it("validates the fields an update sets", async () => {
+    await cache.putOne({ table, item: { id: "a", age: 3 } });
+
+    const e = await rejects(
+      cache.updateOne({ table, match: { id: "a" }, update: { age: "four" } })
+    );
+    expect(e.errors).to.deep.equal([
+      { field: "age", message: "age must be of type number" },
+    ]);
+
+    await rejects(
+      cache.update({ table, match: { id: "a" }, set: { id: REMOVE } })
+    );
+    await rejects(
+      cache.updateOne({
+        table,
+        match: { id: "a" },
+        update: { id: undefined },
+        removeUndefined: true,
+      })
+    );
+  });
+
+  it("sets updatedAt on updates and createdAt on upserts", async () => {
+    await cache.putOne({ table, item: { id: "a" } });
+    const { createdAt } = await cache.getOne({ table, match: { id: "a" } });
+
+    const updated = await cache.updateOne({
+      table,
+      match: { id: "a" },
+      update: { age: 4 },
+      returnValues: "ALL_NEW",
+    });
+    expect(updated.age).to.equal(4);
+    expect(updated.createdAt).to.equal(createdAt);
+    expect(updated.updatedAt >= createdAt).to.be.true;
+
+    const created = await cache.updateOne({
+      table,
+      match: { id: "b" },
+      update: { age: 1 },
+      returnValues: "ALL_NEW",
+    });
+    expect(created.createdAt).to.be.a("string");
+  });
+
+  it("supports custom timestamp attribute names", async () => {
+    cache.validation = {
+      [table]: { timestamps: { createdAt: "created", updatedAt: false } },
+    };
+    cache._validators = {};
+    await cache.putOne({ table, item: { id: "a" } });
+
+    const item = await cache.getOne({ table, match: { id: "a" } });
+    expect(item).to.have.property("created");
+    expect(item).to.not.have.property("updatedAt");
+  });
+
+  it("rejects unknown types", async () => {
+    cache.validation = { [table]: { attributes: { a: { type: "text" } } } };
+    cache._validators = {};
+    try {
+      await cache.putOne({ table, item: { id: "a" } });
+      expect.fail();
+    } catch (e) {
+      expect(e.message).to.equal("Unknown validation type for a: text");
+    }
+  });
+
+  it("leaves tables without a schema alone", async () => {
+    await cache.createTable({ table: "other", keys: { hash: "id" } });
+    await cache.putOne({ table: "other", item: { id: "a", age: "x" } });
+
+    expect(
+      await cache.getOne({ table: "other", match: { id: "a" } })
+    ).to.deep.equal({ id: "a", age: "x" });
+  });
+});
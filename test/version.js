@@ -0,0 +1,344 @@
+const Cache = require("../Cache");
+const { VersionConflictError } = require("../Errors");
+const { fromObject } = require("../Item");
+const { stubClient } = require("./stub");
+const { expect } = require("chai");
+const { ConditionalCheckFailedException } = require("@aws-sdk/client-dynamodb");
+
+const table = "tests";
+const primaryKey = "primary_key";
+
+function conditionFailed() {
+  return new ConditionalCheckFailedException({
+    message: "The conditional request failed",
+    $metadata: {},
+  });
+}
+
+describe("Cache optimistic locking", () => {
+  let cache;
+  let sent;
+  beforeEach(() => {
+    cache = new Cache(
+      {},
+      { versions: { [table]: "version" }, retryDelay: 1, maxRetryDelay: 2 }
+    );
+  });
+
+  describe("putOne", () => {
+    it("writes version 1 when the item must not exist yet", async () => {
+      sent = stubClient(cache, () => ({}));
+
+      await cache.putOne({ table, item: { [primaryKey]: "a" } });
+
+      expect(sent[0].input.Item).to.deep.equal(
+        fromObject({ [primaryKey]: "a", version: 1 })
+      );
+      expect(sent[0].input.ConditionExpression).to.equal(
+        "attribute_not_exists(#n0)"
+      );
+      expect(sent[0].input.ExpressionAttributeNames).to.deep.equal({
+        "#n0": "version",
+      });
+    });
+
+    it("conditions on the expected version and increments it", async () => {
+      sent = stubClient(cache, () => ({}));
+
+      await cache.putOne({
+        table,
+        item: { [primaryKey]: "a", version: 3 },
+        condition: { something: { "=": "other" } },
+      });
+
+      expect(sent[0].input.Item.version).to.deep.equal({ N: "4" });
+      expect(sent[0].input.ConditionExpression).to.equal(
+        "(#n0 = :v0) AND (#n1 = :v1)"
+      );
+      expect(sent[0].input.ExpressionAttributeValues[":v1"]).to.deep.equal({
+        N: "3",
+      });
+    });
+
+    it("throws a VersionConflictError when the version does not match", async () => {
+      sent = stubClient(cache, (cmd) => {
+        if (cmd.constructor.name === "DescribeTableCommand") {
+          return { Table: { KeySchema: [{ AttributeName: primaryKey }] } };
+        }
+        throw conditionFailed();
+      });
+
+      try {
+        await cache.putOne({
+          table,
+          item: { [primaryKey]: "a", something: "other", version: 2 },
+        });
+        expect.fail();
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(VersionConflictError);
+        expect(e.message).to.equal(
+          "Version conflict on tests: expected version 2"
+        );
+        expect(e.key).to.deep.equal({ [primaryKey]: "a" });
+        expect(e.expectedVersion).to.equal(2);
+        expect(e.cause.name).to.equal("ConditionalCheckFailedException");
+      }
+    });
+
+    it("leaves tables without a version attribute alone", async () => {
+      sent = stubClient(cache, () => ({}));
+
+      await cache.putOne({ table: "other", item: { id: "a" } });
+
+      expect(sent[0].input.Item).to.deep.equal(fromObject({ id: "a" }));
+      expect(sent[0].input.ConditionExpression).to.be.undefined;
+    });
+  });
+
+  describe("update", () => {
+    it("takes the expected version from set and adds one to it", async () => {
+      sent = stubClient(cache, () => ({}));
+
+      await cache.updateOne({
+        table,
+        match: { [primaryKey]: "a" },
+        update: { something: "other", version: 5 },
+      });
+
+      expect(sent[0].input.UpdateExpression).to.equal(
+        "SET #n0 = :v0 ADD #n1 :v1"
+      );
+      expect(sent[0].input.ConditionExpression).to.equal("#n1 = :v2");
+      expect(sent[0].input.ExpressionAttributeValues).to.deep.equal({
+        ":v0": { S: "other" },
+        ":v1": { N: "1" },
+        ":v2": { N: "5" },
+      });
+    });
+
+    it("only increments the version when no version is expected", async () => {
+      sent = stubClient(cache, () => ({}));
+
+      await cache.increment({
+        table,
+        match: { [primaryKey]: "a" },
+        update: { count: 1 },
+      });
+
+      expect(sent[0].input.UpdateExpression).to.equal("ADD #n0 :v0, #n1 :v1");
+      expect(sent[0].input.ConditionExpression).to.be.undefined;
+    });
+
+    it("throws a VersionConflictError for an explicit expectedVersion", async () => {
+      sent = stubClient(cache, () => {
+        throw conditionFailed();
+      });
+
+      try {
+        await cache.update({
+          table,
+          match: { [primaryKey]: "a" },
+          remove: ["something"],
+          expectedVersion: 1,
+        });
+        expect.fail();
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(VersionConflictError);
+        expect(e.key).to.deep.equal({ [primaryKey]: "a" });
+      }
+    });
+  });
+
+  describe("deleteOne", () => {
+    it("conditions on an expected version", async () => {
+      sent = stubClient(cache, () => ({}));
+
+      await cache.deleteOne({
+        table,
+        match: { [primaryKey]: "a" },
+        expectedVersion: 2,
+      });
+
+      expect(sent[0].input.ConditionExpression).to.equal("#n0 = :v0");
+    });
+  });
+
+  describe("transactWrite", () => {
+    it("versions put and update operations", async () => {
+      sent = stubClient(cache, () => ({}));
+
+      await cache.transactWrite([
+        { put: { table, item: { [primaryKey]: "a", version: 1 } } },
+        {
+          update: {
+            table,
+            match: { [primaryKey]: "b" },
+            set: { something: "other" },
+            expectedVersion: 7,
+          },
+        },
+      ]);
+
+      const [put, update] = sent[0].input.TransactItems;
+      expect(put.Put.Item.version).to.deep.equal({ N: "2" });
+      expect(put.Put.ConditionExpression).to.equal("#n0 = :v0");
+      expect(update.Update.UpdateExpression).to.equal(
+        "SET #n0 = :v0 ADD #n1 :v1"
+      );
+      expect(update.Update.ConditionExpression).to.equal("#n1 = :v2");
+    });
+  });
+
+  describe("withRetry", () => {
+    it("re-reads and reapplies the mutation after a conflict", async () => {
+      let version = 1;
+      sent = stubClient(cache, (cmd) => {
+        if (cmd.constructor.name === "GetItemCommand") {
+          return {
+            Item: fromObject({ [primaryKey]: "a", count: version, version }),
+          };
+        }
+        if (cmd.constructor.name === "DescribeTableCommand") {
+          return { Table: { KeySchema: [{ AttributeName: primaryKey }] } };
+        }
+        if (version === 1) {
+          version = 2;
+          throw conditionFailed();
+        }
+        return {};
+      });
+
+      const item = await cache.withRetry({
+        table,
+        match: { [primaryKey]: "a" },
+        mutate: (current) => ({ ...current, count: current.count + 10 }),
+      });
+
+      expect(item).to.deep.equal({ [primaryKey]: "a", count: 12, version: 3 });
+      const puts = sent.filter(
+        (cmd) => cmd.constructor.name === "PutItemCommand"
+      );
+      expect(puts.length).to.equal(2);
+      expect(puts[1].input.Item).to.deep.equal(
+        fromObject({ [primaryKey]: "a", count: 12, version: 3 })
+      );
+      expect(sent[0].input.ConsistentRead).to.equal(true);
+    });
+
+    it("gives up after maxAttempts", async () => {
+      sent = stubClient(cache, (cmd) => {
+        if (cmd.constructor.name === "GetItemCommand") {
+          return { Item: fromObject({ [primaryKey]: "a", version: 1 }) };
+        }
+        if (cmd.constructor.name === "DescribeTableCommand") {
+          return { Table: { KeySchema: [{ AttributeName: primaryKey }] } };
+        }
+        throw conditionFailed();
+      });
+
+      try {
+        await cache.withRetry({
+          table,
+          match: { [primaryKey]: "a" },
+          mutate: (current) => current,
+          maxAttempts: 2,
+        });
+        expect.fail();
+      } catch (e) {
+        expect(e).to.be.an.instanceOf(VersionConflictError);
+      }
+      expect(
+        sent.filter((cmd) => cmd.constructor.name === "PutItemCommand").length
+      ).to.equal(2);
+    });
+
+    it("returns the item as written, with defaults and timestamps", async () => {
+      cache = new Cache(
+        {},
+        {
+          versions: { [table]: "version" },
+          validation: {
+            [table]: {
+              attributes: { status: { default: "new" } },
+              timestamps: true,
+            },
+          },
+        }
+      );
+      sent = stubClient(cache, () => ({}));
+
+      const item = await cache.withRetry({
+        table,
+        match: { [primaryKey]: "a" },
+        mutate: () => ({ count: 1 }),
+      });
+
+      expect(item).to.deep.include({
+        [primaryKey]: "a",
+        count: 1,
+        status: "new",
+        version: 1,
+      });
+      expect(item.createdAt).to.be.an.instanceOf(Date);
+      expect(fromObject(item)).to.deep.equal(sent[1].input.Item);
+    });
+
+    it("does not write when the mutation returns undefined", async () => {
+      sent = stubClient(cache, () => ({}));
+
+      const item = await cache.withRetry({
+        table,
+        match: { [primaryKey]: "a" },
+        mutate: () => undefined,
+      });
+
+      expect(item).to.be.undefined;
+      expect(sent.length).to.equal(1);
+    });
+
+    it("refuses tables without a version attribute", async () => {
+      cache = new Cache({});
+      sent = stubClient(cache);
+      try {
+        await cache.withRetry({
+          table,
+          match: { [primaryKey]: "a" },
+          mutate: (current) => current,
+        });
+        expect.fail();
+      } catch (e) {
+        expect(e.message).to.match(/withRetry needs a version attribute/);
+      }
+      expect(sent.length).to.equal(0);
+    });
+  });
+
+  describe("batch writes", () => {
+    it("refuses putMany because it cannot check versions", async () => {
+      sent = stubClient(cache);
+      try {
+        await cache.putMany({ table, items: [{ [primaryKey]: "a" }] });
+        expect.fail();
+      } catch (e) {
+        expect(e.message).to.match(/putMany cannot check versions on tests/);
+      }
+      expect(sent.length).to.equal(0);
+    });
+
+    it("only allows deleteMany for items without an expected version", async () => {
+      sent = stubClient(cache);
+      await cache.deleteMany({ table, items: [{ [primaryKey]: "a" }] });
+      expect(sent.length).to.equal(1);
+
+      try {
+        await cache.deleteMany({
+          table,
+          items: [{ [primaryKey]: "a", version: 2 }],
+        });
+        expect.fail();
+      } catch (e) {
+        expect(e.message).to.match(/deleteMany cannot check versions/);
+      }
+    });
+  });
+});